@@ -0,0 +1,192 @@
+// ai-json.js
+import { AIOutputError } from "./errors.js";
+
+/**
+ * 🧱 Shared JSON layer for model output
+ * - Strips fences / stray prose, parses, validates against a declared schema (schemas.js)
+ * - On failure, shows the model its own output + the problems and asks for a fix (bounded)
+ * - Still broken after maxAttempts → AIOutputError with a typed code
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+export function stripCodeFences(text = "") {
+  return text
+    .replace(/^```json\s*/i, "")
+    .replace(/^```\s*/i, "")
+    .replace(/\s*```$/, "")
+    .trim();
+}
+
+// Models sometimes wrap the JSON in a sentence — keep only the outermost object/array
+function extractJson(text = "") {
+  const cleaned = stripCodeFences(text.trim());
+  if (cleaned.startsWith("{") || cleaned.startsWith("[")) return cleaned;
+
+  const start = cleaned.search(/[[{]/);
+  const end = Math.max(cleaned.lastIndexOf("}"), cleaned.lastIndexOf("]"));
+  return start !== -1 && end > start ? cleaned.slice(start, end + 1) : cleaned;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Returns a list of human-readable problems ([] when valid)
+export function validateSchema(value, schema, path = "$") {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (actual !== schema.type) {
+    errors.push(`${path} should be ${schema.type} but is ${actual}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of: ${schema.enum.join(", ")}`);
+  }
+
+  if (schema.type === "string") {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push(`${path} should not be empty`);
+    }
+  }
+
+  if (schema.type === "number") {
+    if (!Number.isFinite(value)) errors.push(`${path} should be a finite number`);
+    if (schema.min !== undefined && value < schema.min) errors.push(`${path} should be >= ${schema.min}`);
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      const prop = value[key];
+      if (prop === undefined || prop === null) continue;
+      errors.push(...validateSchema(prop, propSchema, `${path}.${key}`));
+    }
+
+    // Map-style objects (e.g. ISO-date-keyed plans)
+    if (schema.keys || schema.values) {
+      const keys = Object.keys(value);
+      if (schema.minKeys && keys.length < schema.minKeys) {
+        errors.push(`${path} should have at least ${schema.minKeys} key(s)`);
+      }
+      for (const key of keys) {
+        if (schema.keys?.pattern && !schema.keys.pattern.test(key)) {
+          errors.push(`${path} key "${key}" should be ${schema.keys.description || schema.keys.pattern}`);
+          continue;
+        }
+        if (schema.values) errors.push(...validateSchema(value[key], schema.values, `${path}["${key}"]`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Drops keys the schema doesn't declare, so only validated fields reach the client
+export function pickSchema(value, schema) {
+  if (schema.type === "array" && Array.isArray(value)) {
+    return schema.items ? value.map(item => pickSchema(item, schema.items)) : value;
+  }
+
+  if (schema.type === "object" && value && typeof value === "object") {
+    if (schema.values) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, v]) => [key, pickSchema(v, schema.values)])
+      );
+    }
+    if (schema.properties) {
+      const picked = {};
+      for (const [key, propSchema] of Object.entries(schema.properties)) {
+        if (value[key] !== undefined && value[key] !== null) picked[key] = pickSchema(value[key], propSchema);
+      }
+      return picked;
+    }
+  }
+
+  return value;
+}
+
+function buildRepairMessage(problems) {
+  return `Your previous response could not be used:
+${problems.slice(0, 15).map(p => `- ${p}`).join("\n")}
+
+Return the corrected response as ONLY valid JSON in the exact format requested — no code fences, no commentary.`;
+}
+
+/**
+ * generate(repairTurns) must call the model and resolve to its raw text.
+ * repairTurns is [] on the first attempt, then [{ role: "assistant" }, { role: "user" }]
+ * to append after the original messages.
+ * check(parsed) is an optional extra rule set that returns problems like validateSchema.
+ * softCheck: true returns the last schema-valid output when only check() problems remain
+ * after maxAttempts — for rules the caller would rather flag than fail on.
+ */
+export async function generateJson({
+  label,
+  schema,
+  generate,
+  check,
+  softCheck = false,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+}) {
+  let repairTurns = [];
+  let code = "ai_invalid_json";
+  let problems = [];
+  let lastValid = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const raw = (await generate(repairTurns)) || "";
+
+    let parsed;
+    try {
+      parsed = JSON.parse(extractJson(raw));
+      code = "ai_schema_mismatch";
+      problems = validateSchema(parsed, schema);
+      if (!problems.length && check) {
+        lastValid = parsed;
+        problems = check(parsed) || [];
+      }
+    } catch (err) {
+      code = "ai_invalid_json";
+      problems = [`Response is not valid JSON (${err.message})`];
+    }
+
+    if (!problems.length) return pickSchema(parsed, schema);
+
+    console.warn(`⚠️ [${label}] attempt ${attempt}/${maxAttempts} failed:`, problems.slice(0, 5));
+
+    // Only the latest bad output is replayed, so the prompt doesn't grow every retry
+    repairTurns = [
+      { role: "assistant", content: raw },
+      { role: "user", content: buildRepairMessage(problems) },
+    ];
+  }
+
+  if (softCheck && lastValid) return pickSchema(lastValid, schema);
+
+  throw new AIOutputError(
+    code,
+    code === "ai_invalid_json"
+      ? "The coach returned an unreadable response. Please try again."
+      : "The coach returned an incomplete response. Please try again.",
+    problems
+  );
+}
@@ -0,0 +1,69 @@
+// auth.js
+import { admin } from "./firebase.js";
+
+/**
+ * 🔐 Firebase ID token auth
+ * - Verifies `Authorization: Bearer <idToken>` via admin.auth()
+ * - Sets req.uid (server-derived — never trust a uid from the body) and req.user (decoded token)
+ * - Anonymous requests only pass when the route explicitly allows them
+ */
+
+// Comma-separated route paths that may be called without a token, e.g. "/,/api/breakdown"
+const ANONYMOUS_ROUTES = new Set(
+  (process.env.ANONYMOUS_AI_ROUTES || "")
+    .split(",").map(s => s.trim()).filter(Boolean)
+);
+
+export function anonymousAllowed(path) {
+  return ANONYMOUS_ROUTES.has(path);
+}
+
+function readBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : "";
+}
+
+export function requireAuth({ allowAnonymous = false } = {}) {
+  return async (req, res, next) => {
+    req.uid = null;
+    req.user = null;
+
+    const token = readBearerToken(req);
+
+    if (!token) {
+      if (allowAnonymous) return next();
+      return res.status(401).json({
+        success: false,
+        error: "Authentication required.",
+        code: "auth_required"
+      });
+    }
+
+    try {
+      const decoded = await admin.auth().verifyIdToken(token);
+      req.uid = decoded.uid;
+      req.user = decoded;
+      return next();
+    } catch (err) {
+      console.warn("⚠️ ID token verification failed:", err.code || err.message);
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired session. Please sign in again.",
+        code: "auth_invalid"
+      });
+    }
+  };
+}
+
+// Mount after requireAuth(). Admins carry the `admin: true` custom claim.
+export function requireAdmin() {
+  return (req, res, next) => {
+    if (req.user?.admin === true) return next();
+    return res.status(403).json({
+      success: false,
+      error: "Admin access required.",
+      code: "forbidden"
+    });
+  };
+}
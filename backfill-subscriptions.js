@@ -0,0 +1,90 @@
+// backfill-subscriptions.js
+import "dotenv/config";
+import Stripe from "stripe";
+import { findUidForStripe, recordSubscriptionState } from "./entitlements.js";
+
+/**
+ * 🔧 One-off backfill: Stripe subscriptions → users/{uid}.subscription (entitlements.js)
+ *
+ *   node backfill-subscriptions.js --dry-run   # report who would get what
+ *   node backfill-subscriptions.js             # write it
+ *
+ * Webhooks only record state for subscribers who had an event after entitlements shipped, so
+ * everyone else has no subscription on file and would be refused. Rollout order:
+ *   1. deploy with ENTITLEMENT_MODE unset ("log") — denials are only logged
+ *   2. run this script (safe to re-run)
+ *   3. check the "[Entitlement] Would deny" logs look right, then set ENTITLEMENT_MODE=enforce
+ *
+ * One subscription per customer: an entitled one (trialing/active) if any, else the newest.
+ * Written with the subscription's `created` as the event time, so state a webhook already
+ * recorded is never overwritten.
+ * Customers with no Firebase account yet are held in pendingSubscriptions and claimed on sign-in.
+ */
+
+const ENTITLED_STATUSES = new Set(["trialing", "active"]);
+const dryRun = process.argv.includes("--dry-run");
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY, { apiVersion: "2024-06-20" });
+
+function preferred(a, b) {
+  if (!a) return b;
+  const aEntitled = ENTITLED_STATUSES.has(a.status);
+  if (aEntitled !== ENTITLED_STATUSES.has(b.status)) return aEntitled ? a : b;
+  return b.created > a.created ? b : a;
+}
+
+async function backfill() {
+  const byCustomer = new Map();
+  let scanned = 0;
+
+  for await (const sub of stripe.subscriptions.list({ status: "all", limit: 100, expand: ["data.customer"] })) {
+    scanned++;
+    const customerId = typeof sub.customer === "string" ? sub.customer : sub.customer?.id;
+    if (!customerId || sub.customer?.deleted) continue;
+    byCustomer.set(customerId, preferred(byCustomer.get(customerId), sub));
+  }
+
+  let recorded = 0;
+  let unmatched = 0;
+
+  for (const [customerId, sub] of byCustomer) {
+    const email = sub.customer?.email || null;
+
+    if (dryRun) {
+      const uid = await findUidForStripe({ customerId, email });
+      if (uid) {
+        console.log(`🔎 ${uid}: ${sub.status} (${sub.id}, ${customerId})`);
+        recorded++;
+      } else {
+        console.warn("⚠️ No user matched for Stripe customer", { customerId, email });
+        unmatched++;
+      }
+      continue;
+    }
+
+    const uid = await recordSubscriptionState({
+      customerId,
+      email,
+      status: sub.status,
+      subscriptionId: sub.id,
+      priceId: sub.items?.data?.[0]?.price?.id,
+      currentPeriodEnd: sub.current_period_end,
+      cancelAtPeriodEnd: sub.cancel_at_period_end,
+      eventType: "backfill",
+      eventCreated: sub.created,
+    });
+    if (uid) recorded++;
+    else unmatched++;
+  }
+
+  const held = dryRun ? "" : ", held until they sign in";
+  console.log(`✅ ${dryRun ? "Would record" : "Recorded"} ${recorded} subscription(s); ${unmatched} unmatched${held} (${byCustomer.size} customers, ${scanned} subscriptions scanned).`);
+}
+
+backfill().then(
+  () => process.exit(0),
+  (err) => {
+    console.error("❌ Subscription backfill failed:", err.message || err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,156 @@
+// batch-cooking.js
+
+/**
+ * 🍱 Batch cooking / leftovers mode for the weekly planner (payload.batchCook)
+ * The model designs a few base components (protein, grain, sauce, ...) cooked in one or two
+ * prep sessions, then remixes them across the week:
+ *   { components: [{ id, name, kind, yield, storage?, keepsDays? }],
+ *     prep: [{ date, title, steps: [{ text, minutes?, components: [id] }] }],
+ *     days: { "YYYY-MM-DD": [meal + { components: [id], leftover?: { date, mealType, note } }] } }
+ *
+ * checkBatchPlan() feeds generateJson's check(); annotateBatchPlan() turns the result into the
+ * usual ISO-keyed plan plus a `batch` summary (components + prep schedule), with every leftover
+ * spelled out ("Leftovers from Monday dinner: Slow-Roasted Lemon Chicken").
+ */
+
+const REQUIRED_KINDS = ["protein", "grain", "sauce"];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_KEEPS_DAYS = 4;
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+function weekday(iso) {
+  return WEEKDAYS[new Date(`${iso}T00:00:00Z`).getUTCDay()];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / ONE_DAY_MS);
+}
+
+function sameMealType(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function mealsByDate(days = {}) {
+  return Object.entries(days).sort(([a], [b]) => a.localeCompare(b));
+}
+
+// Latest prep session on or before `iso` that cooks the component
+function prepSessionFor(componentId, iso, prep = []) {
+  return [...prep]
+    .filter(s => s.date <= iso && (s.steps || []).some(step => (step.components || []).includes(componentId)))
+    .sort((a, b) => b.date.localeCompare(a.date))[0] || null;
+}
+
+/** Problems for generateJson's check() — [] when the batch plan holds together */
+export function checkBatchPlan(parsed) {
+  const problems = [];
+  const components = parsed.components || [];
+  const prep = parsed.prep || [];
+  const byId = new Map();
+
+  for (const component of components) {
+    if (byId.has(component.id)) problems.push(`Component id "${component.id}" is used twice — ids must be unique`);
+    byId.set(component.id, component);
+  }
+
+  for (const kind of REQUIRED_KINDS) {
+    if (!components.some(c => c.kind === kind)) problems.push(`Add at least one base ${kind} component`);
+  }
+
+  for (const session of prep) {
+    if (!ISO_DATE.test(session.date)) problems.push(`Prep session "${session.title}" date "${session.date}" should be YYYY-MM-DD`);
+    for (const step of session.steps || []) {
+      for (const id of step.components || []) {
+        if (!byId.has(id)) problems.push(`Prep step "${step.text.slice(0, 40)}" references unknown component "${id}"`);
+      }
+    }
+  }
+
+  const usage = new Map();
+  for (const [iso, meals] of mealsByDate(parsed.days)) {
+    for (const meal of meals) {
+      for (const id of meal.components || []) {
+        const component = byId.get(id);
+        if (!component) {
+          problems.push(`"${meal.title}" (${iso}) uses unknown component "${id}"`);
+          continue;
+        }
+        if (!usage.has(id)) usage.set(id, new Set());
+        usage.get(id).add(iso);
+
+        const session = prepSessionFor(id, iso, prep);
+        if (!session) {
+          problems.push(`"${meal.title}" (${iso}) uses ${component.name}, but no prep session on or before ${iso} cooks it`);
+          continue;
+        }
+        const keeps = component.keepsDays || DEFAULT_KEEPS_DAYS;
+        if (daysBetween(session.date, iso) > keeps) {
+          problems.push(`${component.name} is eaten on ${iso}, ${daysBetween(session.date, iso)} days after it's cooked on ${session.date} but only keeps ${keeps} days — cook it again in a later prep session or use something else`);
+        }
+      }
+
+      if (meal.leftover) {
+        const { date, mealType } = meal.leftover;
+        const source = (parsed.days?.[date] || []).find(m => sameMealType(m.mealType, mealType));
+        if (!source) {
+          problems.push(`"${meal.title}" (${iso}) is marked as leftovers of a ${mealType} on ${date} that isn't in the plan`);
+        } else if (date > iso || (date === iso && sameMealType(mealType, meal.mealType))) {
+          problems.push(`"${meal.title}" (${iso}) can only be leftovers of an earlier meal`);
+        } else if (daysBetween(date, iso) > DEFAULT_KEEPS_DAYS) {
+          problems.push(`"${meal.title}" (${iso}) is leftovers from ${date} — more than ${DEFAULT_KEEPS_DAYS} days old`);
+        }
+      }
+    }
+  }
+
+  for (const component of components) {
+    if (REQUIRED_KINDS.includes(component.kind) && (usage.get(component.id)?.size || 0) < 2) {
+      problems.push(`${component.name} should be remixed across at least 2 days`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * → { plan (ISO-keyed, meals carry `components` and resolved `leftover`), batch: { components, prep } }
+ * Prep sessions come back in date order with the components they cook and their total minutes.
+ */
+export function annotateBatchPlan(parsed) {
+  const days = parsed.days || {};
+
+  const plan = Object.fromEntries(mealsByDate(days).map(([iso, meals]) => [iso, meals.map(meal => {
+    if (!meal.leftover) return meal;
+    const { date, mealType, note } = meal.leftover;
+    const source = (days[date] || []).find(m => sameMealType(m.mealType, mealType));
+    if (!source) {
+      const { leftover, ...rest } = meal;
+      return rest;
+    }
+    return {
+      ...meal,
+      leftover: {
+        date,
+        mealType: source.mealType,
+        title: source.title,
+        label: `Leftovers from ${weekday(date)} ${source.mealType.toLowerCase()}: ${source.title}`,
+        ...(note ? { note } : {}),
+      },
+    };
+  })]));
+
+  const prep = [...(parsed.prep || [])]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(session => {
+      const minutes = (session.steps || []).reduce((sum, step) => sum + (Number(step.minutes) || 0), 0);
+      return {
+        ...session,
+        components: [...new Set((session.steps || []).flatMap(step => step.components || []))],
+        ...(minutes ? { totalMinutes: minutes } : {}),
+      };
+    });
+
+  return { plan, batch: { components: parsed.components || [], prep } };
+}
@@ -0,0 +1,124 @@
+// breakdowns.js
+import sharp from "sharp";
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+
+/**
+ * 📸 Breakdown history — every signed-in /api/breakdown result is kept so users can
+ * look back at how their meals have leveled up.
+ *   users/{uid}/breakdowns/{breakdownId}
+ *     { breakdown, thumbnail (data URL), imageContext, intent, createdAt }
+ */
+
+const THUMBNAIL_SIZE = 320;    // px, longest edge
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+function breakdownsRef(uid) {
+  return db.collection("users").doc(uid).collection("breakdowns");
+}
+
+function serializeBreakdown(doc) {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    breakdown: data.breakdown || {},
+    thumbnail: data.thumbnail || null,
+    imageContext: data.imageContext || "",
+    intent: data.intent || "",
+    createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : null,
+  };
+}
+
+// Small JPEG data URL — keeps the doc well under Firestore's 1MB limit
+async function makeThumbnail(buffer) {
+  const jpeg = await sharp(buffer)
+    .rotate() // respect EXIF orientation from phone cameras
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 70 })
+    .toBuffer();
+  return `data:image/jpeg;base64,${jpeg.toString("base64")}`;
+}
+
+export async function saveBreakdown(uid, { breakdown, imageBuffer, imageContext = "", intent = "" }) {
+  let thumbnail = null;
+  try {
+    thumbnail = await makeThumbnail(imageBuffer);
+  } catch (err) {
+    console.warn("⚠️ Breakdown thumbnail failed:", err.message);
+  }
+
+  const ref = breakdownsRef(uid).doc();
+  await ref.set({
+    breakdown,
+    thumbnail,
+    imageContext,
+    intent,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return ref.id;
+}
+
+// --------------- Route registration ----------------
+export function registerBreakdownRoutes(app) {
+  const auth = requireAuth();
+
+  // GET /api/breakdowns?limit=20&cursor=<lastId> → newest first
+  app.get("/api/breakdowns", auth, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, MAX_PAGE_SIZE);
+      let query = breakdownsRef(req.uid).orderBy("createdAt", "desc").limit(limit + 1);
+
+      if (req.query.cursor) {
+        const cursorDoc = await breakdownsRef(req.uid).doc(String(req.query.cursor)).get();
+        if (!cursorDoc.exists) {
+          return res.status(400).json({ success: false, error: "Invalid cursor." });
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snap = await query.get();
+      const docs = snap.docs.slice(0, limit);
+
+      res.json({
+        success: true,
+        breakdowns: docs.map(serializeBreakdown),
+        nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null,
+      });
+    } catch (err) {
+      console.error("❌ Failed to list breakdowns:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to list breakdowns." });
+    }
+  });
+
+  // GET /api/breakdowns/:breakdownId
+  app.get("/api/breakdowns/:breakdownId", auth, async (req, res) => {
+    try {
+      const snap = await breakdownsRef(req.uid).doc(req.params.breakdownId).get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Breakdown not found." });
+      }
+      res.json({ success: true, ...serializeBreakdown(snap) });
+    } catch (err) {
+      console.error("❌ Failed to fetch breakdown:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch breakdown." });
+    }
+  });
+
+  // DELETE /api/breakdowns/:breakdownId
+  app.delete("/api/breakdowns/:breakdownId", auth, async (req, res) => {
+    try {
+      const ref = breakdownsRef(req.uid).doc(req.params.breakdownId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Breakdown not found." });
+      }
+      await ref.delete();
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Failed to delete breakdown:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to delete breakdown." });
+    }
+  });
+}
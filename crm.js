@@ -0,0 +1,166 @@
+// crm.js
+
+/**
+ * CRM clients — GoHighLevel v1 contacts + ConvertKit.
+ * These throw CrmError on failure (instead of logging and moving on) so the outbox
+ * worker (outbox.js) can retry with backoff or dead-letter the delivery.
+ */
+
+export class CrmError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = "CrmError";
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// 429 + 5xx are worth retrying; other 4xx won't fix themselves
+function httpError(service, res, body = "") {
+  const retryable = res.status === 429 || res.status >= 500;
+  return new CrmError(`${service} ${res.status}: ${String(body).slice(0, 300)}`, {
+    status: res.status,
+    retryable,
+  });
+}
+
+// Per request, body included. A delivery makes a handful of these at most, so a hung CRM
+// fails the attempt well before the outbox lock (outbox.js LOCK_MS, 2 min) runs out.
+const CRM_TIMEOUT_MS = Number(process.env.CRM_TIMEOUT_MS) || 15 * 1000;
+
+async function crmFetch(service, url, options) {
+  try {
+    return await fetch(url, { ...options, signal: AbortSignal.timeout(CRM_TIMEOUT_MS) });
+  } catch (e) {
+    const reason = e.name === "TimeoutError" ? `timed out after ${CRM_TIMEOUT_MS / 1000}s` : `network error: ${e.message}`;
+    throw new CrmError(`${service} ${reason}`, { retryable: true });
+  }
+}
+
+// --- GHL v1: lookup existing contact by email (for tag merge) ---
+async function ghlV1GetContactByEmail(email) {
+  const apiKey = (process.env.GHL_V1_API_KEY || "").trim();
+  const locationId = (process.env.GHL_LOCATION_ID || "").trim();
+  if (!apiKey || !locationId || !email) return null;
+
+  const res = await crmFetch(
+    "GHL lookup",
+    `https://rest.gohighlevel.com/v1/contacts/?query=${encodeURIComponent(email)}`,
+    {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        Accept: "application/json",
+        LocationId: locationId,
+      },
+    }
+  );
+  if (res.status === 404) return null;
+  if (!res.ok) throw httpError("GHL lookup", res, await res.text());
+
+  const json = await res.json();
+  // v1 returns { contacts: [...] } or sometimes a single object; normalize to first match
+  const contacts = Array.isArray(json?.contacts) ? json.contacts : [];
+  const target = String(email || "").trim().toLowerCase();
+
+  // Exact match only (safer; avoids updating the wrong contact)
+  const exact = contacts.find(c => String(c?.email || "").trim().toLowerCase() === target);
+  return exact || null;
+}
+
+// --- GHL v1: upsert contact, but MERGE tags instead of overwriting ---
+export async function ghlV1UpsertContact({
+  email,
+  firstName,
+  lastName,
+  phone,
+  tags = [],
+  customFields = {},
+  skipCreateIfMissing = false,
+  context = "",
+}) {
+  if (!email) { console.warn("[GHL upsert] skipped: missing email"); return; }
+
+  const apiKey = (process.env.GHL_V1_API_KEY || "").trim();
+  const locationId = (process.env.GHL_LOCATION_ID || "").trim();
+  if (!apiKey || !locationId) {
+    throw new CrmError("Missing GHL_V1_API_KEY or GHL_LOCATION_ID", { retryable: false });
+  }
+
+  // 1) Start with the new tags you want to add
+  let mergedTags = Array.from(new Set([...(tags || [])].map(t => String(t).trim()).filter(Boolean)));
+
+  // 2) Read existing tags (if any) and merge so we don't blow away e.g. done:fc:trial_checkout.
+  //    A failed lookup throws — better to retry than to overwrite tags or create a duplicate.
+  const existing = await ghlV1GetContactByEmail(email);
+  const existingContactId = existing?.id || null;
+
+  const existingTags = (existing?.tags || []).map(t => String(t).trim()).filter(Boolean);
+  mergedTags = Array.from(new Set([...existingTags, ...mergedTags]));
+
+  if (skipCreateIfMissing && !existingContactId) {
+    console.log("[GHL upsert] SKIP (no contact found; create disabled)", { email, context });
+    return;
+  }
+
+  const payload = {
+    email,
+    tags: mergedTags,     // <— send the MERGED list
+    customFields,         // unchanged
+  };
+
+  // Only include these if we actually have values
+  // (prevents blank/undefined from wiping fields)
+  if (firstName) payload.firstName = firstName;
+  if (lastName) payload.lastName = lastName;
+  if (phone) payload.phone = phone;
+
+  const res = await crmFetch("GHL upsert", "https://rest.gohighlevel.com/v1/contacts/", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      LocationId: locationId,
+    },
+    body: JSON.stringify(payload),
+  });
+
+  const text = await res.text();
+  if (!res.ok) throw httpError("GHL upsert", res, text);
+
+  let data; try { data = JSON.parse(text); } catch { data = { raw: text }; }
+  console.log("[GHL upsert] OK → contactId:", data?.contact?.id || data?.id || "(unknown)");
+  return data;
+}
+
+/* ---------- ConvertKit helper ---------- */
+// Form + tag subscribes are idempotent on ConvertKit's side, so a retry re-runs all of them
+export async function convertKitSubscribe({ email, firstName }) {
+  const key = process.env.CONVERTKIT_API_KEY;
+  if (!key) return;
+
+  if (process.env.CONVERTKIT_FORM_ID) {
+    const res = await crmFetch(
+      "ConvertKit subscribe",
+      `https://api.convertkit.com/v3/forms/${process.env.CONVERTKIT_FORM_ID}/subscribe`,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ api_key: key, email, first_name: firstName || "" }),
+      }
+    );
+    if (!res.ok) throw httpError("ConvertKit subscribe", res, await res.text());
+  }
+
+  const tagIds = (process.env.CONVERTKIT_TAG_IDS || "")
+    .split(",").map(s => s.trim()).filter(Boolean);
+  for (const tagId of tagIds) {
+    const res = await crmFetch("ConvertKit tag", `https://api.convertkit.com/v3/tags/${tagId}/subscribe`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ api_key: key, email }),
+    });
+    if (!res.ok) throw httpError(`ConvertKit tag ${tagId}`, res, await res.text());
+  }
+}
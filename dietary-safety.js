@@ -0,0 +1,280 @@
+// dietary-safety.js
+
+/**
+ * 🛡️ Post-generation dietary safety pass
+ * The system prompt asks the model to avoid what the user can't eat; this checks that it did.
+ * Restrictions ("peanut allergy", "vegetarian", "gluten free") map to allergen groups with
+ * synonyms ("tahini" → sesame, "satay" → peanut); dislikes are matched as written.
+ *
+ * Meals and recipes are regenerated through generateJson's check() first, and anything still
+ * violating after that is returned with `safety` flags instead of silently passing.
+ */
+
+// group → words/phrases that mean the group is in the dish
+const ALLERGEN_GROUPS = {
+  peanut: ["peanut", "peanuts", "satay", "groundnut", "goober"],
+  "tree nut": ["almond", "almonds", "cashew", "cashews", "walnut", "walnuts", "pecan", "pecans", "pistachio",
+    "pistachios", "hazelnut", "hazelnuts", "macadamia", "pine nut", "pine nuts", "pesto", "praline", "marzipan",
+    "nutella", "frangipane"],
+  sesame: ["sesame", "tahini", "halva", "halvah", "hummus", "za'atar", "zaatar", "furikake", "gomasio", "benne"],
+  dairy: ["milk", "cheese", "butter", "cream", "yogurt", "yoghurt", "ghee", "parmesan", "ricotta", "feta",
+    "mozzarella", "cheddar", "whey", "casein", "tzatziki", "queso", "alfredo", "paneer", "labneh", "burrata",
+    "mascarpone", "raita", "bechamel",
+    // compounds whole-word matching can't see inside
+    "buttermilk", "buttercream", "butterscotch", "cheesecake", "cheeseburger", "milkshake", "kefir", "gelato",
+    "creme fraiche", "crème fraîche"],
+  egg: ["egg", "eggs", "mayo", "mayonnaise", "aioli", "meringue", "frittata", "omelet", "omelette", "shakshuka",
+    "custard", "carbonara", "hollandaise", "eggnog"],
+  gluten: ["wheat", "flour", "bread", "pasta", "couscous", "barley", "rye", "seitan", "panko", "breadcrumbs",
+    "noodles", "ramen", "udon", "orzo", "farro", "bulgur", "pita", "naan", "tortilla", "tortillas", "soy sauce",
+    "croutons", "spaghetti", "linguine", "penne", "gnocchi", "bun", "buns", "wrap", "sourdough", "pancakes", "waffles",
+    "breadcrumb", "flatbread", "cornbread", "shortbread", "croissant", "bagel", "muffin", "biscuit", "cracker",
+    "crackers", "dumpling", "dumplings"],
+  soy: ["soy", "soya", "tofu", "tempeh", "edamame", "miso", "tamari", "soy sauce"],
+  fish: ["fish", "salmon", "tuna", "cod", "halibut", "tilapia", "anchovy", "anchovies", "fish sauce", "mahi",
+    "trout", "sardine", "sardines", "sea bass", "snapper", "worcestershire", "bonito"],
+  shellfish: ["shrimp", "prawn", "prawns", "crab", "lobster", "scallop", "scallops", "mussel", "mussels", "clam",
+    "clams", "oyster", "oysters", "oyster sauce", "crawfish", "calamari", "squid"],
+  pork: ["pork", "bacon", "ham", "chorizo", "prosciutto", "pancetta", "carnitas", "al pastor", "lardons", "guanciale"],
+  "red meat": ["beef", "steak", "lamb", "veal", "venison", "bison", "brisket", "bulgogi", "burger", "burgers"],
+  meat: ["chicken", "turkey", "duck", "meatball", "meatballs", "sausage", "jerky", "pepperoni", "salami"],
+  honey: ["honey"],
+};
+
+// Phrases that contain a group's word but are safe for it ("almond milk" isn't dairy, "butter lettuce" isn't either)
+const SAFE_PHRASES = {
+  dairy: ["dairy free", "dairy-free", "almond milk", "oat milk", "soy milk", "coconut milk", "cashew milk",
+    "rice milk", "coconut cream", "peanut butter", "almond butter", "cashew butter", "sunflower butter",
+    "cocoa butter", "apple butter", "vegan cheese", "nutritional yeast", "coconut yogurt", "buttermilk substitute",
+    "butter lettuce", "butter bean", "butter beans", "butternut", "coconut butter", "shea butter", "cream of tartar",
+    "cream of coconut"],
+  gluten: ["gluten free", "gluten-free", "rice noodles", "rice noodle", "corn tortilla", "corn tortillas",
+    "rice flour", "almond flour", "coconut flour", "chickpea flour", "tamari", "coconut aminos", "lettuce wrap",
+    "lettuce wraps", "zucchini noodles", "rice pasta", "chickpea pasta", "lentil pasta", "glass noodles",
+    "kelp noodles", "shirataki noodles", "rice paper wrap", "rice cracker", "rice crackers"],
+  egg: ["egg free", "egg-free", "eggless", "vegan mayo", "eggplant"],
+  peanut: ["peanut free", "peanut-free"],
+  "tree nut": ["nut free", "nut-free", "coconut"],
+  soy: ["soy free", "soy-free", "coconut aminos"],
+  "red meat": ["plant-based beef", "beyond beef", "impossible burger", "veggie burger", "mushroom steak", "cauliflower steak"],
+  meat: ["plant-based chicken", "vegan chicken", "chicken of the woods", "vegan sausage", "veggie sausage"],
+};
+
+// "<qualifier> <noun>" is safe for the group as a whole phrase: "gluten-free pasta", "dairy-free cheese",
+// "vegan mayo". Hyphen or space between the words, the noun phrase runs to the next clause break.
+const SAFE_QUALIFIERS = {
+  dairy: ["dairy free", "lactose free", "milk free", "non dairy", "nondairy", "vegan", "plant based"],
+  gluten: ["gluten free", "wheat free"],
+  egg: ["egg free", "eggless", "vegan"],
+  peanut: ["peanut free"],
+  "tree nut": ["nut free", "tree nut free"],
+  sesame: ["sesame free"],
+  soy: ["soy free"],
+  fish: ["vegan", "plant based"],
+  shellfish: ["vegan", "plant based"],
+  meat: ["vegan", "plant based", "meatless"],
+  "red meat": ["vegan", "plant based", "meatless"],
+  pork: ["vegan", "plant based"],
+  honey: ["vegan"],
+};
+const QUALIFIED_NOUN_WORDS = 3;
+const NOUN_PHRASE_STOP = /^(and|or|with|on|in|over|plus|served|topped|tossed|for|instead)$/;
+
+// Diet words → the groups they rule out
+const DIETS = {
+  vegan: ["meat", "red meat", "pork", "fish", "shellfish", "dairy", "egg", "honey"],
+  vegetarian: ["meat", "red meat", "pork", "fish", "shellfish"],
+  pescatarian: ["meat", "red meat", "pork"],
+  halal: ["pork"],
+  kosher: ["pork", "shellfish"],
+};
+
+// How people write restrictions → group
+const RESTRICTION_ALIASES = {
+  peanut: "peanut", peanuts: "peanut",
+  nut: ["peanut", "tree nut"], nuts: ["peanut", "tree nut"], "tree nut": "tree nut", "tree nuts": "tree nut",
+  sesame: "sesame",
+  dairy: "dairy", lactose: "dairy", milk: "dairy",
+  egg: "egg", eggs: "egg",
+  gluten: "gluten", wheat: "gluten", celiac: "gluten", coeliac: "gluten",
+  soy: "soy",
+  fish: "fish", seafood: ["fish", "shellfish"], shellfish: "shellfish",
+  pork: "pork", "red meat": ["red meat", "pork"],
+};
+
+// Prose only: a mention counts as ruled out when one of these sits right before the term in the
+// same clause ("skip the peanuts", "without sesame") or right after it ("peanut-free", "your peanut allergy")
+const NEGATED_BEFORE = /\b(no|not|without|avoid|avoiding|skip|skipping|omit|leave out|hold the|minus|instead of|swap out|replace|replacing|allergic to|can't have|cannot have|don't eat|never)\b(\s+\S+){0,2}\s*$/i;
+const NEGATED_AFTER = /^\s*(-\s*)?(free|allergy|allergies|intolerance)\b/i;
+const CLAUSE_BREAK = /[,;:()]|\b(and|but|or|with|for|then|plus)\b/gi;
+
+function toList(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  return String(value).split(/[,;\n]|\band\b/i);
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termRegex(term) {
+  return new RegExp(`(^|[^a-z])${escapeRegex(term.toLowerCase())}(?=$|[^a-z])`, "i");
+}
+
+function groupRule(group, source) {
+  return {
+    kind: "restriction",
+    label: group,
+    source,
+    terms: ALLERGEN_GROUPS[group],
+    safe: SAFE_PHRASES[group] || [],
+    qualifiers: SAFE_QUALIFIERS[group] || [],
+  };
+}
+
+// Blanks out "<qualifier> <noun phrase>": the qualifier and up to QUALIFIED_NOUN_WORDS words after it,
+// stopping at a joining word so "gluten-free pasta with bread" still shows the bread
+function scrubQualified(text, qualifiers = []) {
+  let scrubbed = text;
+  for (const qualifier of qualifiers) {
+    const words = qualifier.split(" ").map(escapeRegex).join("[\\s-]+");
+    const re = new RegExp(`(^|[^a-z])${words}(?=$|[^a-z])((?:[\\s-]+[a-zà-ÿ']+){0,${QUALIFIED_NOUN_WORDS}})`, "g");
+    scrubbed = scrubbed.replace(re, (match, lead, tail) => {
+      const tokens = tail.match(/[\s-]+[a-zà-ÿ']+/g) || [];
+      const stop = tokens.findIndex(token => NOUN_PHRASE_STOP.test(token.replace(/^[\s-]+/, "")));
+      return `${lead} ${stop === -1 ? "" : tokens.slice(stop).join("")}`;
+    });
+  }
+  return scrubbed;
+}
+
+/**
+ * Profile → rules. Reads `restrictions` and `allergies` (hard rules) and `dislikes` (soft rules).
+ * Restriction text we can't map to a group is still enforced literally ("no cilantro").
+ */
+export function buildSafetyRules(profile = {}) {
+  const rules = new Map();
+
+  const restrictionText = [...toList(profile?.restrictions), ...toList(profile?.allergies)];
+  for (const raw of restrictionText) {
+    const text = raw.trim().toLowerCase();
+    if (!text) continue;
+
+    let matched = false;
+    for (const [diet, groups] of Object.entries(DIETS)) {
+      if (termRegex(diet).test(text)) {
+        groups.forEach(g => rules.set(g, groupRule(g, raw.trim())));
+        matched = true;
+      }
+    }
+    for (const [alias, groups] of Object.entries(RESTRICTION_ALIASES)) {
+      if (termRegex(alias).test(text)) {
+        [].concat(groups).forEach(g => rules.set(g, groupRule(g, raw.trim())));
+        matched = true;
+      }
+    }
+
+    // "no cilantro", "cilantro" → enforce the word itself
+    const literal = text.replace(/^(no|avoid|allergic to|allergy to)\s+/, "").replace(/\s+(allergy|allergies|free)$/, "").trim();
+    if (!matched && literal && literal.length > 2 && !/^(none|n\/a|nothing)$/.test(literal)) {
+      rules.set(`restriction:${literal}`, { kind: "restriction", label: literal, source: raw.trim(), terms: [literal], safe: [], qualifiers: [] });
+    }
+  }
+
+  for (const raw of toList(profile?.dislikes)) {
+    const text = raw.trim().toLowerCase();
+    if (!text || text.length < 3 || rules.has(text)) continue;
+    const group = ALLERGEN_GROUPS[text] ? text : null;
+    const terms = group ? ALLERGEN_GROUPS[group] : [text, text.endsWith("s") ? text.slice(0, -1) : `${text}s`];
+    rules.set(`dislike:${text}`, {
+      kind: "dislike", label: text, source: raw.trim(), terms,
+      safe: SAFE_PHRASES[group] || [], qualifiers: SAFE_QUALIFIERS[group] || [],
+    });
+  }
+
+  return [...rules.values()];
+}
+
+/**
+ * Returns [{ kind, label, matched }] for every rule the text breaks.
+ * prose: true (chat) ignores sentences that only mention a food to rule it out ("skip the peanuts").
+ */
+function isNegated(text, start, end) {
+  const before = text.slice(0, start);
+  const breaks = [...before.matchAll(CLAUSE_BREAK)];
+  const clause = breaks.length ? before.slice(breaks[breaks.length - 1].index + breaks[breaks.length - 1][0].length) : before;
+  return NEGATED_BEFORE.test(clause) || NEGATED_AFTER.test(text.slice(end));
+}
+
+// First occurrence of the term that isn't ruled out (prose) — or just the first one
+function findTerm(text, term, prose) {
+  const re = new RegExp(termRegex(term).source, "gi");
+  for (const match of text.matchAll(re)) {
+    const start = match.index + match[1].length;
+    if (!prose || !isNegated(text, start, start + term.length)) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns [{ kind, label, matched }] for every rule the text breaks.
+ * prose: true (chat) skips mentions that rule the food out — "skip the peanuts", "peanut-free",
+ * "your peanut allergy" — but still catches the rest of the sentence:
+ * "Swap the rice for noodles and finish with a peanut satay drizzle." and
+ * "This gluten free peanut sauce is the move." both break a peanut restriction.
+ */
+export function findViolations(text = "", rules = [], { prose = false } = {}) {
+  if (!text || !rules.length) return [];
+
+  const violations = [];
+  for (const rule of rules) {
+    let scrubbed = scrubQualified(String(text).toLowerCase(), rule.qualifiers);
+    for (const phrase of rule.safe) scrubbed = scrubbed.split(phrase).join(" ");
+    const hit = rule.terms.find(term => findTerm(scrubbed, term, prose));
+    if (hit) violations.push({ kind: rule.kind, label: rule.label, matched: hit });
+  }
+  return violations;
+}
+
+function mealText(meal = {}) {
+  return [meal.title, meal.description, ...(meal.tags || []), meal.instructions].filter(Boolean).join("\n");
+}
+
+function describe(v) {
+  return v.kind === "restriction"
+    ? `contains "${v.matched}", which breaks their ${v.label} restriction`
+    : `contains "${v.matched}", which they dislike`;
+}
+
+// Problems for generateJson's check() — one line per violation
+export function checkMealsSafety(meals = [], rules = []) {
+  return meals.flatMap(meal =>
+    findViolations(mealText(meal), rules).map(v => `"${meal.title}" ${describe(v)} — replace it with a safe alternative`)
+  );
+}
+
+export function checkRecipeSafety(recipe = {}, rules = []) {
+  const text = [
+    ...(recipe.ingredients || []).map(i => [i.item, i.note].filter(Boolean).join(", ")),
+    ...(recipe.upgrades || []),
+  ].join("\n");
+  return findViolations(text, rules).map(v => `The recipe ${describe(v)} — swap that ingredient`);
+}
+
+export function checkTextSafety(text, rules, options) {
+  return findViolations(text, rules, options).map(v => `The response ${describe(v)}`);
+}
+
+// Meals that still break a rule after regeneration carry { safety: { ok: false, flags } }
+export function flagMeals(meals = [], rules = []) {
+  return meals.map(meal => {
+    const flags = findViolations(mealText(meal), rules);
+    return flags.length ? { ...meal, safety: { ok: false, flags } } : meal;
+  });
+}
+
+export function safetyFlags(text, rules, options) {
+  const flags = findViolations(text, rules, options);
+  return flags.length ? { ok: false, flags } : null;
+}
@@ -0,0 +1,218 @@
+// entitlements.js
+import { admin, db } from "./firebase.js";
+
+/**
+ * 💳 Subscription entitlement
+ * - Stripe webhooks write the latest state to users/{uid}.subscription
+ * - Checkout can finish before the Firebase account exists: state that matches no user is held in
+ *   pendingSubscriptions/{customerId} (with the email) and claimed on that email's first signed-in request
+ * - requireEntitlement() runs before any OpenAI call and turns "no/failed subscription"
+ *   into a 402 with a code the frontend can act on
+ */
+
+const ENTITLED_STATUSES = new Set(["trialing", "active"]);
+const PAYMENT_FAILED_STATUSES = new Set(["past_due", "unpaid"]);
+
+// "log" (default) = report would-be denials without blocking; "enforce" = 402.
+// Only switch to enforce once existing subscribers are backfilled (backfill-subscriptions.js).
+const ENTITLEMENT_MODE = (process.env.ENTITLEMENT_MODE || "log").trim();
+
+function usersRef() {
+  return db.collection("users");
+}
+
+function pendingRef() {
+  return db.collection("pendingSubscriptions");
+}
+
+function normalizeEmail(email) {
+  return typeof email === "string" && email.trim() ? email.trim().toLowerCase() : null;
+}
+
+// Same out-of-order guard for users/{uid} and pendingSubscriptions/{customerId}
+async function writeIfNewer(ref, data, eventCreated) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const lastCreated = snap.exists ? snap.data()?.subscription?.lastEventCreated || 0 : 0;
+    if (eventCreated && lastCreated > eventCreated) return false;
+    tx.set(ref, data, { merge: true });
+    return true;
+  });
+}
+
+async function uidExists(uid) {
+  try {
+    await admin.auth().getUser(uid);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Stripe → Firebase user: client_reference_id (our checkout), then a known customer id, then email
+export async function findUidForStripe({ clientReferenceId, customerId, email }) {
+  if (clientReferenceId && await uidExists(clientReferenceId)) return clientReferenceId;
+
+  if (customerId) {
+    const snap = await usersRef().where("subscription.customerId", "==", customerId).limit(1).get();
+    if (!snap.empty) return snap.docs[0].id;
+  }
+
+  if (email) {
+    try {
+      const user = await admin.auth().getUserByEmail(email);
+      return user.uid;
+    } catch {
+      // no Firebase account for this email (yet)
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Writes the subscription snapshot onto the user record.
+ * Returns the uid it was written to, or null when no user could be matched.
+ */
+export async function recordSubscriptionState({
+  clientReferenceId,
+  customerId,
+  email,
+  status,
+  subscriptionId,
+  priceId,
+  currentPeriodEnd,
+  cancelAtPeriodEnd,
+  eventType,
+  eventCreated,
+}) {
+  const uid = await findUidForStripe({ clientReferenceId, customerId, email });
+
+  const subscription = {
+    status: status || "none",
+    customerId: customerId || null,
+    subscriptionId: subscriptionId || null,
+    priceId: priceId || null,
+    currentPeriodEnd: currentPeriodEnd ? new Date(currentPeriodEnd * 1000) : null,
+    cancelAtPeriodEnd: !!cancelAtPeriodEnd,
+    lastEventType: eventType || null,
+    lastEventCreated: eventCreated || null,
+    updatedAt: new Date(),
+  };
+
+  if (!uid) {
+    const pendingEmail = normalizeEmail(email);
+    if (!customerId || !pendingEmail) {
+      console.warn("[Entitlement] No user matched for Stripe customer", { customerId, email, eventType });
+      return null;
+    }
+    // Held until someone signs in with this email (see claimPendingSubscription)
+    await writeIfNewer(pendingRef().doc(customerId), { email: pendingEmail, subscription }, eventCreated);
+    console.warn("[Entitlement] No user matched for Stripe customer; held as pending", { customerId, email, eventType });
+    return null;
+  }
+
+  // Stripe doesn't guarantee delivery order — never let an older event overwrite newer state
+  const applied = await writeIfNewer(usersRef().doc(uid), { subscription }, eventCreated);
+
+  if (!applied) {
+    console.log("[Entitlement] Skipped out-of-order", eventType, "for", uid);
+    return uid;
+  }
+
+  console.log("[Entitlement] Recorded", subscription.status, "for", uid, `(${eventType})`);
+  return uid;
+}
+
+/**
+ * Moves subscription state recorded before the account existed onto users/{uid}.
+ * Prefers an entitled subscription, else the most recent event. Returns the claimed
+ * subscription, or null when nothing is pending for this email.
+ */
+export async function claimPendingSubscription(uid, email) {
+  const pendingEmail = normalizeEmail(email);
+  if (!uid || !pendingEmail) return null;
+
+  const snap = await pendingRef().where("email", "==", pendingEmail).get();
+  if (snap.empty) return null;
+
+  const pick = snap.docs.reduce((best, doc) => {
+    if (!best) return doc;
+    const a = best.data().subscription || {};
+    const b = doc.data().subscription || {};
+    const aEntitled = ENTITLED_STATUSES.has(a.status);
+    if (aEntitled !== ENTITLED_STATUSES.has(b.status)) return aEntitled ? best : doc;
+    return (b.lastEventCreated || 0) > (a.lastEventCreated || 0) ? doc : best;
+  }, null);
+
+  const userRef = usersRef().doc(uid);
+  const claimed = await db.runTransaction(async (tx) => {
+    const [userSnap, pendingSnap] = await Promise.all([tx.get(userRef), tx.get(pick.ref)]);
+    if (!pendingSnap.exists) return null;
+    const current = userSnap.exists ? userSnap.data()?.subscription : null;
+    const subscription = { ...pendingSnap.data().subscription, updatedAt: new Date() };
+    // A webhook may have matched the account in the meantime — keep whichever is newer
+    if (current && (current.lastEventCreated || 0) > (subscription.lastEventCreated || 0)) return current;
+    tx.set(userRef, { subscription }, { merge: true });
+    tx.delete(pick.ref);
+    return subscription;
+  });
+
+  if (claimed) console.log("[Entitlement] Claimed pending", claimed.status, "for", uid, `(${pick.id})`);
+  return claimed;
+}
+
+export function entitlementError(status) {
+  if (PAYMENT_FAILED_STATUSES.has(status)) {
+    return {
+      code: "payment_failed",
+      error: "Your last payment didn't go through. Update your card to keep cooking with the coach.",
+    };
+  }
+  return {
+    code: "subscription_required",
+    error: "An active FlavorCoach subscription is required for this feature.",
+  };
+}
+
+// Mount after requireAuth()
+export function requireEntitlement({ allowAnonymous = false } = {}) {
+  return async (req, res, next) => {
+    if (!req.uid) {
+      if (allowAnonymous) return next();
+      return res.status(401).json({ success: false, error: "Authentication required.", code: "auth_required" });
+    }
+
+    let subscription = null;
+    try {
+      const userDoc = await usersRef().doc(req.uid).get();
+      subscription = userDoc.exists ? userDoc.data()?.subscription || null : null;
+      if (!subscription && req.user?.email) subscription = await claimPendingSubscription(req.uid, req.user.email);
+    } catch (err) {
+      console.error("❌ Entitlement lookup failed:", req.uid, err.message);
+      return res.status(503).json({
+        success: false,
+        error: "Couldn't confirm your subscription. Please try again.",
+        code: "entitlement_unavailable",
+        retryable: true,
+      });
+    }
+
+    req.subscription = subscription;
+    const status = subscription?.status || "none";
+    if (ENTITLED_STATUSES.has(status)) return next();
+
+    const denial = entitlementError(status);
+    if (ENTITLEMENT_MODE === "log") {
+      console.warn("[Entitlement] Would deny", req.uid, status, denial.code);
+      return next();
+    }
+
+    return res.status(402).json({
+      success: false,
+      error: denial.error,
+      code: denial.code,
+      subscriptionStatus: status,
+    });
+  };
+}
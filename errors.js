@@ -0,0 +1,53 @@
+// errors.js
+
+/**
+ * Errors that carry an HTTP status + a stable `code` the frontend can switch on.
+ * Anything else that reaches sendApiError is treated as an unexpected 500.
+ */
+export class ApiError extends Error {
+  constructor(status, code, message, { retryable = false, details } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+// Model output that still failed to parse/validate after the repair loop
+export class AIOutputError extends ApiError {
+  constructor(code, message, details) {
+    super(502, code, message, { retryable: true, details });
+    this.name = "AIOutputError";
+  }
+}
+
+// Upstream model failures after timeouts/retries/fallbacks (llm.js)
+export class LLMError extends ApiError {
+  constructor(status, code, message, { retryable = true, retryAfter } = {}) {
+    super(status, code, message, { retryable });
+    this.name = "LLMError";
+    this.retryAfter = retryAfter;
+  }
+}
+
+export function sendApiError(res, err, fallbackMessage = "Server error.") {
+  if (err instanceof ApiError) {
+    if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+    return res.status(err.status).json({
+      success: false,
+      error: err.message,
+      code: err.code,
+      retryable: err.retryable,
+      ...(err.retryAfter ? { retryAfter: err.retryAfter } : {}),
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackMessage,
+    code: "server_error",
+    retryable: false,
+  });
+}
@@ -0,0 +1,82 @@
+// event-ledger.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+/**
+ * 🧾 Stripe event ledger — stripeEvents/{eventId}
+ *   { type, created, status: processing|succeeded|failed, attempts, lastError, ... }
+ * Stripe retries and occasionally double-delivers; the ledger makes sure each event's
+ * side effects (GHL, ConvertKit, Firestore state) run to success exactly once.
+ */
+
+const LEDGER_COLLECTION = "stripeEvents";
+
+// A "processing" claim older than this is assumed dead (crash / deploy mid-handler)
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+function ledgerRef(eventId) {
+  return db.collection(LEDGER_COLLECTION).doc(eventId);
+}
+
+/**
+ * Returns { claimed: true, attempt } when this delivery should run the handler,
+ * or { claimed: false, reason: "duplicate" | "in_progress" } when it should not.
+ */
+export async function claimEvent(event) {
+  const ref = ledgerRef(event.id);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() : null;
+
+    if (data?.status === "succeeded") {
+      return { claimed: false, reason: "duplicate" };
+    }
+
+    const startedAt = data?.startedAt?.toMillis ? data.startedAt.toMillis() : 0;
+    if (data?.status === "processing" && Date.now() - startedAt < STALE_PROCESSING_MS) {
+      return { claimed: false, reason: "in_progress" };
+    }
+
+    const attempt = (data?.attempts || 0) + 1;
+    tx.set(ref, {
+      type: event.type,
+      created: event.created,
+      livemode: !!event.livemode,
+      status: "processing",
+      attempts: attempt,
+      startedAt: FieldValue.serverTimestamp(),
+      ...(snap.exists ? {} : { firstSeenAt: FieldValue.serverTimestamp() }),
+    }, { merge: true });
+
+    return { claimed: true, attempt };
+  });
+}
+
+// Pass a write batch to commit the ledger update atomically with other writes (outbox tasks)
+export async function markEventSucceeded(eventId, batch = null) {
+  const update = {
+    status: "succeeded",
+    completedAt: FieldValue.serverTimestamp(),
+    lastError: null,
+  };
+
+  if (batch) {
+    batch.set(ledgerRef(eventId), update, { merge: true });
+    return;
+  }
+  await ledgerRef(eventId).set(update, { merge: true });
+}
+
+export async function markEventFailed(eventId, err) {
+  try {
+    await ledgerRef(eventId).set({
+      status: "failed",
+      failedAt: FieldValue.serverTimestamp(),
+      lastError: String(err?.message || err).slice(0, 1000),
+    }, { merge: true });
+  } catch (e) {
+    // Don't mask the original error — Stripe will retry and the stale claim expires
+    console.error("[Ledger] Could not record failure for", eventId, e.message);
+  }
+}
@@ -0,0 +1,91 @@
+// favorites.js
+import { db } from "./firebase.js";
+
+/**
+ * ⭐ Saved favorites for the planners
+ * Picks the user's saved recipes (users/{uid}/recipes) that best fit the current request —
+ * tag overlap, craving/intent keyword hits and recency — so "remix a favorite" uses real ones.
+ */
+
+const CANDIDATE_LIMIT = 50;
+const DEFAULT_PICK = 5;
+const RECENCY_HALF_LIFE_DAYS = 30;
+
+const STOPWORDS = new Set(["the", "and", "with", "for", "a", "an", "of", "to", "in", "on", "some", "something", "i", "want", "like", "more", "less", "this", "week", "day"]);
+
+function words(text = "") {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w));
+}
+
+function toMillis(ts) {
+  if (ts?.toMillis) return ts.toMillis();
+  const n = Date.parse(ts);
+  return Number.isFinite(n) ? n : 0;
+}
+
+export function scoreFavorite(recipe, { tags = [], keywords = [] }, now = Date.now()) {
+  const recipeTags = (recipe.tags || []).map(t => String(t).toLowerCase());
+  const recipeWords = new Set([...words(recipe.title), ...words(recipe.summary), ...recipeTags.flatMap(words)]);
+
+  const tagHits = tags.filter(t => recipeTags.includes(String(t).toLowerCase())).length;
+  const keywordHits = keywords.filter(k => recipeWords.has(k)).length;
+
+  const ageDays = (now - toMillis(recipe.updatedAt || recipe.createdAt)) / 86400000;
+  const recency = ageDays >= 0 ? 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS) : 0;
+
+  return tagHits * 3 + keywordHits * 2 + recency + (recipe.favorite ? 1 : 0);
+}
+
+// → [{ id, title, summary, tags }] best first
+export async function loadRelevantFavorites(uid, payload = {}, { limit = DEFAULT_PICK } = {}) {
+  if (!uid) return [];
+
+  const snap = await db.collection("users").doc(uid).collection("recipes")
+    .orderBy("updatedAt", "desc")
+    .limit(CANDIDATE_LIMIT)
+    .get();
+
+  const context = {
+    tags: Array.isArray(payload.tags) ? payload.tags : [],
+    keywords: [...new Set([...words(payload.cravings), ...words(payload.intentNotes)])],
+  };
+
+  return snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(r => r.title)
+    .map(r => ({ recipe: r, score: scoreFavorite(r, context) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ recipe }) => ({
+      id: recipe.id,
+      title: recipe.title,
+      summary: recipe.summary || "",
+      tags: Array.isArray(recipe.tags) ? recipe.tags : [],
+    }));
+}
+
+// Problems for generateJson's check(): only ids we actually offered count as remixes
+export function checkRemixIds(meals, favorites) {
+  const ids = new Set(favorites.map(f => f.id));
+  return meals
+    .filter(m => m.remixOf && !ids.has(m.remixOf))
+    .map(m => `"${m.title}" has remixOf "${m.remixOf}", which is not one of the saved favorites — use a listed id or omit remixOf`);
+}
+
+// remixOf: "<id>" → remixOf: { id, title }
+export function annotateRemixes(meals, favorites) {
+  const byId = new Map(favorites.map(f => [f.id, f]));
+  return meals.map(meal => {
+    if (!meal.remixOf) return meal;
+    const fav = byId.get(meal.remixOf);
+    if (!fav) {
+      const { remixOf, ...rest } = meal;
+      return rest;
+    }
+    return { ...meal, remixOf: { id: fav.id, title: fav.title } };
+  });
+}
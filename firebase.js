@@ -0,0 +1,68 @@
+// firebase.js
+import fs from "fs";
+import firebaseAdmin from "firebase-admin";
+import { getFirestore } from "firebase-admin/firestore";
+
+/**
+ * Firebase is initialized on first use, not on import — so LLM_PROVIDER=mock can run the API
+ * offline: routes that never touch Firestore (anonymous AI routes) need nothing, and with the
+ * emulators (FIRESTORE_EMULATOR_HOST / FIREBASE_AUTH_EMULATOR_HOST, project FIREBASE_PROJECT_ID,
+ * default "demo-flavorcoach") everything else works without the service-account cert.
+ */
+
+const FIREBASE_CERT_PATH = "/etc/secrets/firebase-service-account.json";
+const DEFAULT_EMULATOR_PROJECT = "demo-flavorcoach";
+
+function usingEmulators() {
+  return !!(process.env.FIRESTORE_EMULATOR_HOST || process.env.FIREBASE_AUTH_EMULATOR_HOST);
+}
+
+// Whether there's anything to connect to — background workers check this before polling
+export function firebaseConfigured() {
+  return usingEmulators() || fs.existsSync(FIREBASE_CERT_PATH);
+}
+
+let firestore = null;
+
+function ensureApp() {
+  if (firebaseAdmin.apps.length) return;
+
+  if (usingEmulators()) {
+    const projectId = process.env.FIREBASE_PROJECT_ID || process.env.GCLOUD_PROJECT || DEFAULT_EMULATOR_PROJECT;
+    console.log("🧪 Using Firebase emulators for project:", projectId);
+    firebaseAdmin.initializeApp({ projectId });
+    return;
+  }
+
+  console.log("🧪 Using Firebase cert path:", FIREBASE_CERT_PATH);
+  firebaseAdmin.initializeApp({
+    credential: firebaseAdmin.credential.cert(FIREBASE_CERT_PATH)
+  });
+}
+
+function getDb() {
+  if (!firestore) {
+    ensureApp();
+    firestore = getFirestore();
+    console.log("✅ Firestore DB initialized");
+  }
+  return firestore;
+}
+
+// Stand-ins that initialize on first property access; callers keep using db.collection(...) / admin.auth()
+function lazy(resolve) {
+  return new Proxy({}, {
+    get(_, prop) {
+      const target = resolve();
+      const value = target[prop];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+}
+
+export const db = lazy(getDb);
+
+export const admin = lazy(() => {
+  ensureApp();
+  return firebaseAdmin;
+});
@@ -0,0 +1,153 @@
+// grocery.js
+import {
+  extractIngredientLines,
+  parseIngredientLine,
+  ingredientKey,
+  unitFamily,
+  UNIT_FAMILIES,
+} from "./ingredients.js";
+
+/**
+ * 🛒 Grocery list builder
+ * - Input: per-meal ingredient lines (the "### Ingredients" section of /generate-instructions)
+ * - De-dupes items, sums quantities (converting within volume/weight), groups by store section
+ * - Pantry staples stay on the list but are marked optional
+ */
+
+// Whole words only ("egg" isn't in "eggplant"), plurals included. Phrases are tried before single
+// words ("green bean" before "bean", "ground ginger" before "ginger"), then sections in this order
+// ("chicken stock" is pantry, not meat).
+const STORE_SECTIONS = [
+  ["Spices & Seasonings", ["salt", "black pepper", "peppercorn", "cayenne", "paprika", "cumin", "chili powder", "chili flake", "oregano", "thyme", "cinnamon", "nutmeg", "turmeric", "garlic powder", "onion powder", "ground ginger", "seasoning", "spice", "za'atar", "zaatar", "curry powder", "bay leaf", "bay leaves", "red pepper flake"]],
+  ["Pantry", ["stock", "broth", "oil", "vinegar", "soy sauce", "tamari", "fish sauce", "honey", "maple", "sugar", "flour", "rice", "pasta", "noodle", "quinoa", "couscous", "oat", "lentil", "bean", "chickpea", "canned", "tomato paste", "coconut milk", "harissa", "sriracha", "mustard", "ketchup", "mayo", "mayonnaise", "tahini", "peanut butter", "nut", "almond", "walnut", "cashew", "pecan", "pistachio", "seed", "breadcrumb", "panko", "cornstarch", "baking", "vanilla", "cocoa", "sauce", "paste"]],
+  ["Meat & Seafood", ["chicken", "beef", "steak", "pork", "turkey", "lamb", "bacon", "sausage", "salmon", "tuna", "shrimp", "cod", "fish", "prawn", "scallop"]],
+  ["Dairy & Eggs", ["milk", "buttermilk", "yogurt", "cheese", "feta", "parmesan", "ricotta", "mozzarella", "butter", "cream", "egg", "cottage"]],
+  ["Frozen", ["frozen"]],
+  ["Bakery", ["bread", "tortilla", "pita", "bun", "naan", "bagel", "wrap"]],
+  ["Produce", ["lettuce", "spinach", "kale", "arugula", "onion", "garlic", "shallot", "ginger", "tomato", "pepper", "cucumber", "carrot", "celery", "broccoli", "cauliflower", "zucchini", "squash", "eggplant", "potato", "mushroom", "avocado", "lemon", "lime", "orange", "apple", "pineapple", "banana", "berry", "strawberry", "blueberry", "raspberry", "blackberry", "cranberry", "cilantro", "parsley", "basil", "mint", "dill", "scallion", "green onion", "cabbage", "corn", "pea", "asparagus", "green bean", "jalapeño", "jalapeno", "chile", "fruit", "herb"]],
+];
+
+const SECTION_ORDER = ["Produce", "Meat & Seafood", "Dairy & Eggs", "Bakery", "Frozen", "Pantry", "Spices & Seasonings", "Other"];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "berry" also matches "berries", "tomato" "tomatoes"
+function keywordRegex(keyword) {
+  const word = keyword.endsWith("y")
+    ? `${escapeRegex(keyword.slice(0, -1))}(?:y|ies)`
+    : `${escapeRegex(keyword)}(?:e?s)?`;
+  return new RegExp(`(^|[^a-z])${word}(?=$|[^a-z])`);
+}
+
+const KEYWORD_MATCHERS = STORE_SECTIONS.flatMap(([section, keywords]) =>
+  keywords.map(keyword => ({ section, phrase: keyword.includes(" "), regex: keywordRegex(keyword) }))
+);
+const SECTION_MATCHERS = [...KEYWORD_MATCHERS.filter(m => m.phrase), ...KEYWORD_MATCHERS.filter(m => !m.phrase)];
+
+export function storeSection(item = "") {
+  const name = item.toLowerCase();
+  return SECTION_MATCHERS.find(m => m.regex.test(name))?.section || "Other";
+}
+
+function roundAmount(n) {
+  return n >= 10 ? Math.round(n) : Math.round(n * 100) / 100;
+}
+
+// Adds up quantities that share a unit family, reported in the unit used most often
+function sumQuantities(entries) {
+  const groups = new Map();
+
+  for (const { quantity, unit } of entries) {
+    if (quantity === null) continue;
+    const family = unit ? unitFamily(unit) : null;
+    const key = family || unit || "count";
+    if (!groups.has(key)) groups.set(key, { family, total: 0, unitCounts: {} });
+    const group = groups.get(key);
+    group.total += family ? quantity * UNIT_FAMILIES[family].factors[unit] : quantity;
+    group.unitCounts[unit || ""] = (group.unitCounts[unit || ""] || 0) + 1;
+  }
+
+  return [...groups.values()].map(({ family, total, unitCounts }) => {
+    const unit = Object.entries(unitCounts).sort((a, b) => b[1] - a[1])[0][0] || null;
+    const amount = family ? total / UNIT_FAMILIES[family].factors[unit] : total;
+    return { amount: roundAmount(amount), unit };
+  });
+}
+
+// Whole words like store sections: "salt" covers "kosher salt", not "salted butter"; "oil" isn't in "boil"
+function isStaple(key, staples) {
+  return staples.some(s => s.test(key));
+}
+
+/**
+ * meals: [{ title, ingredients: ["- 1 cup rice", ...], servings? }] — quantities are multiplied by servings (default 1)
+ * Returns { sections: [{ name, items: [{ item, quantities, meals, notes, optional }] }], itemCount, optionalCount }
+ */
+export function buildGroceryList(meals = [], { pantryStaples = [], includePantryStaples = true } = {}) {
+  const staples = pantryStaples.map(s => ingredientKey(String(s))).filter(Boolean).map(keywordRegex);
+  const items = new Map();
+
+  for (const meal of meals) {
+    const servings = Number(meal.servings) > 0 ? Number(meal.servings) : 1;
+    for (const line of meal.ingredients || []) {
+      const parsed = parseIngredientLine(line);
+      if (parsed.quantity !== null && servings !== 1) parsed.quantity *= servings;
+      if (!parsed.item) continue;
+
+      const key = ingredientKey(parsed.item);
+      if (!key) continue;
+
+      if (!items.has(key)) {
+        items.set(key, { item: parsed.item, entries: [], meals: new Set(), notes: new Set() });
+      }
+      const entry = items.get(key);
+      entry.entries.push(parsed);
+      if (meal.title) entry.meals.add(meal.title);
+      if (parsed.note) entry.notes.add(parsed.note);
+    }
+  }
+
+  const sections = new Map();
+  let itemCount = 0;
+  let optionalCount = 0;
+
+  for (const [key, entry] of items) {
+    const optional = isStaple(key, staples);
+    if (optional && !includePantryStaples) continue;
+
+    const section = storeSection(entry.item);
+    if (!sections.has(section)) sections.set(section, []);
+    sections.get(section).push({
+      item: entry.item,
+      quantities: sumQuantities(entry.entries),
+      meals: [...entry.meals],
+      notes: [...entry.notes],
+      optional,
+    });
+
+    itemCount++;
+    if (optional) optionalCount++;
+  }
+
+  return {
+    sections: SECTION_ORDER
+      .filter(name => sections.has(name))
+      .map(name => ({
+        name,
+        items: sections.get(name).sort((a, b) => a.item.localeCompare(b.item)),
+      })),
+    itemCount,
+    optionalCount,
+  };
+}
+
+// Flattens an ISO-keyed plan into [{ iso, meal }] in date order
+export function planMeals(isoPlan = {}) {
+  return Object.keys(isoPlan)
+    .sort()
+    .flatMap(iso => (Array.isArray(isoPlan[iso]) ? isoPlan[iso] : []).map(meal => ({ iso, meal })));
+}
+
+export { extractIngredientLines };
@@ -0,0 +1,278 @@
+// household.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+import { normalizeProfile, validateProfilePatch } from "./profile-schema.js";
+import { buildSafetyRules } from "./dietary-safety.js";
+import { reviewPlanMacros, MACRO_KEYS } from "./macros.js";
+
+/**
+ * 🏠 Household mode — users/{uid}/household/{memberId}
+ *   { name, portion, notes, profile (canonical Flavor Profile, see profile-schema.js), createdAt, updatedAt }
+ *
+ * The account owner is always the first member ("self", their own flavorProfile, portion 1).
+ * Planner payloads with `household: true` cook shared meals for everyone: every member's
+ * restrictions are hard rules, and each meal carries `portions` — one entry per member with
+ * their portion multiplier and any tweak ("extra rice", "no chili flakes on theirs").
+ * Meal macros are for one standard portion (portion 1).
+ */
+
+export const SELF_MEMBER_ID = "self";
+
+const MAX_MEMBERS = 8; // including the owner
+const MIN_PORTION = 0.25;
+const MAX_PORTION = 3;
+const MAX_NAME = 80;
+const MAX_NOTES = 300;
+
+function householdRef(uid) {
+  return db.collection("users").doc(uid).collection("household");
+}
+
+function clampPortion(value, fallback = 1) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.round(Math.min(MAX_PORTION, Math.max(MIN_PORTION, n)) * 100) / 100;
+}
+
+function serializeMember(doc) {
+  const data = doc.data() || {};
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: doc.id,
+    name: data.name,
+    portion: clampPortion(data.portion),
+    notes: data.notes || "",
+    profile: normalizeProfile(data.profile),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+// Returns { error } or { data } — `partial` for PATCH (only provided fields are checked).
+// Names are unique per household (`takenNames`, lowercased): the model's portions refer to members by name.
+function readMemberInput(body = {}, { partial = false, takenNames = [] } = {}) {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "name is required." };
+    if (name.length > MAX_NAME) return { error: `name must be at most ${MAX_NAME} characters.` };
+    if (takenNames.includes(name.toLowerCase())) return { error: `Someone in your household is already called ${name}.` };
+    data.name = name;
+  }
+
+  if (body.portion !== undefined) {
+    const n = Number(body.portion);
+    if (!Number.isFinite(n) || n < MIN_PORTION || n > MAX_PORTION) {
+      return { error: `portion must be a number between ${MIN_PORTION} and ${MAX_PORTION}.` };
+    }
+    data.portion = clampPortion(n);
+  } else if (!partial) {
+    data.portion = 1;
+  }
+
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== "string") return { error: "notes must be a string." };
+    data.notes = (body.notes || "").trim().slice(0, MAX_NOTES);
+  }
+
+  // Same rules as PATCH /api/profile, so a kid's profile can't hold what an account profile couldn't
+  if (body.profile !== undefined) {
+    const { changes, errors } = validateProfilePatch(body.profile);
+    if (errors && !(errors.length === 1 && errors[0] === "Nothing to update.")) {
+      return { error: errors[0], details: errors };
+    }
+    data.profile = changes || {};
+  }
+
+  if (partial && !Object.keys(data).length) return { error: "Nothing to update." };
+
+  return { data };
+}
+
+// Lowercased names in use, the owner's included — `exceptId` is the member being renamed
+async function takenMemberNames(uid, exceptId = null) {
+  const [userSnap, snap] = await Promise.all([db.collection("users").doc(uid).get(), householdRef(uid).get()]);
+  const owner = normalizeProfile(userSnap.exists ? userSnap.data()?.flavorProfile : null);
+  return [owner.name || "You", ...snap.docs.filter(doc => doc.id !== exceptId).map(doc => doc.data().name)]
+    .filter(name => typeof name === "string")
+    .map(name => name.trim().toLowerCase());
+}
+
+/**
+ * Owner first, then the stored members: [{ id, name, portion, notes, profile, self? }].
+ * Always at least the owner, so callers don't special-case an empty household.
+ */
+export async function loadHousehold(uid, ownerProfile) {
+  const owner = normalizeProfile(ownerProfile);
+  const self = { id: SELF_MEMBER_ID, name: owner.name || "You", portion: 1, notes: "", profile: owner, self: true };
+
+  const snap = await householdRef(uid).orderBy("createdAt", "asc").limit(MAX_MEMBERS - 1).get();
+  return [self, ...snap.docs.map(serializeMember)];
+}
+
+/**
+ * One rule set for shared meals: every member's restrictions are hard rules; dislikes are
+ * enforced too, because a shared meal built around one member's dislike doesn't work —
+ * small tweaks ("hold the olives") belong in that member's portion note instead.
+ */
+export function buildHouseholdSafetyRules(members = []) {
+  const rules = new Map();
+  for (const member of members) {
+    for (const rule of buildSafetyRules(member.profile)) {
+      const key = `${rule.kind}:${rule.label}`;
+      if (!rules.has(key)) rules.set(key, rule);
+    }
+  }
+  return [...rules.values()];
+}
+
+function matchMember(name, members) {
+  const wanted = String(name || "").trim().toLowerCase();
+  return members.find(m => m.name.toLowerCase() === wanted || m.id === wanted);
+}
+
+/**
+ * Normalizes a meal's `portions` to one entry per member, in household order:
+ * [{ memberId, member, portion, note }]. Members the model skipped get their default portion;
+ * names it made up are dropped. Each entry is used once, so two members stored under the same
+ * name (from before names had to be unique) can't both take the first one.
+ */
+export function applyHouseholdPortions(meal, members = []) {
+  const given = Array.isArray(meal?.portions) ? [...meal.portions] : [];
+  const portions = members.map(member => {
+    const index = given.findIndex(p => matchMember(p?.member, [member]));
+    const entry = index === -1 ? null : given.splice(index, 1)[0];
+    const note = typeof entry?.note === "string" ? entry.note.trim() : "";
+    return {
+      memberId: member.id,
+      member: member.name,
+      portion: clampPortion(entry?.portion, member.portion),
+      ...(note ? { note } : {}),
+    };
+  });
+  return { ...meal, portions };
+}
+
+// Total standard portions a meal feeds — what the grocery list multiplies by
+export function totalPortions(meal) {
+  if (!Array.isArray(meal?.portions) || !meal.portions.length) return 1;
+  const total = meal.portions.reduce((sum, p) => sum + (Number(p?.portion) || 0), 0);
+  return total > 0 ? Math.round(total * 100) / 100 : 1;
+}
+
+function memberPortion(meal, member) {
+  const entry = (meal.portions || []).find(p => p.memberId === member.id);
+  return entry ? entry.portion : member.portion;
+}
+
+/**
+ * Per-member daily macros: each meal's standard-portion macros × that member's portion,
+ * against that member's own targets. { [memberId]: { [iso]: day review } }
+ */
+export function reviewHouseholdMacros(isoPlan, members = [], { tolerance } = {}) {
+  const byMember = {};
+  for (const member of members) {
+    const scaled = Object.fromEntries(
+      Object.entries(isoPlan || {}).map(([iso, meals]) => [iso, meals.map(meal => {
+        const factor = memberPortion(meal, member);
+        const macros = {};
+        for (const key of MACRO_KEYS) macros[key] = (Number(meal.macros?.[key]) || 0) * factor;
+        return { ...meal, macros };
+      })])
+    );
+    byMember[member.id] = reviewPlanMacros(scaled, member.profile, { tolerance, rebalance: false }).days;
+  }
+  return byMember;
+}
+
+// --------------- Route registration ----------------
+export function registerHouseholdRoutes(app) {
+  const auth = requireAuth();
+
+  // GET /api/household → { members } with the owner first
+  app.get("/api/household", auth, async (req, res) => {
+    try {
+      const userSnap = await db.collection("users").doc(req.uid).get();
+      const members = await loadHousehold(req.uid, userSnap.exists ? userSnap.data()?.flavorProfile : null);
+      res.json({ success: true, members });
+    } catch (err) {
+      console.error("❌ Failed to fetch household:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch household." });
+    }
+  });
+
+  // POST /api/household/members { name, portion?, notes?, profile? }
+  app.post("/api/household/members", auth, async (req, res) => {
+    try {
+      const { data, error, details } = readMemberInput(req.body, { takenNames: await takenMemberNames(req.uid) });
+      if (error) {
+        return res.status(400).json({ success: false, error, ...(details ? { code: "invalid_profile", details } : {}) });
+      }
+
+      const existing = await householdRef(req.uid).count().get();
+      if (existing.data().count >= MAX_MEMBERS - 1) {
+        return res.status(400).json({ success: false, error: `A household can have at most ${MAX_MEMBERS} members.`, code: "household_full" });
+      }
+
+      const ref = await householdRef(req.uid).add({
+        ...data,
+        profile: normalizeProfile(data.profile),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      res.status(201).json({ success: true, member: serializeMember(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to add household member:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to add household member." });
+    }
+  });
+
+  // PATCH /api/household/members/:memberId — profile fields merge like PATCH /api/profile
+  app.patch("/api/household/members/:memberId", auth, async (req, res) => {
+    try {
+      const takenNames = req.body?.name !== undefined ? await takenMemberNames(req.uid, req.params.memberId) : [];
+      const { data, error, details } = readMemberInput(req.body, { partial: true, takenNames });
+      if (error) {
+        return res.status(400).json({ success: false, error, ...(details ? { code: "invalid_profile", details } : {}) });
+      }
+
+      const ref = householdRef(req.uid).doc(req.params.memberId);
+      const updated = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return false;
+        const { profile, ...rest } = data;
+        tx.update(ref, {
+          ...rest,
+          ...(profile ? { profile: { ...normalizeProfile(snap.data().profile), ...profile } } : {}),
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+
+      if (!updated) {
+        return res.status(404).json({ success: false, error: "Household member not found." });
+      }
+      res.json({ success: true, member: serializeMember(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to update household member:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to update household member." });
+    }
+  });
+
+  app.delete("/api/household/members/:memberId", auth, async (req, res) => {
+    try {
+      const ref = householdRef(req.uid).doc(req.params.memberId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Household member not found." });
+      }
+      await ref.delete();
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Failed to delete household member:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to delete household member." });
+    }
+  });
+}
@@ -0,0 +1,183 @@
+// ingredients.js
+
+/**
+ * 🥕 Ingredient line parsing
+ * Turns the "### Ingredients" bullets that buildInstructionsPrompt asks for
+ * ("- 1 ½ cups cooked jasmine rice, warm") into { quantity, unit, item, note, size }.
+ * `size` is a container's own size: "1 (15 oz) can chickpeas" → 1 can, size { quantity: 15, unit: "oz" }.
+ */
+
+const UNICODE_FRACTIONS = {
+  "½": 1 / 2, "⅓": 1 / 3, "⅔": 2 / 3, "¼": 1 / 4, "¾": 3 / 4,
+  "⅕": 1 / 5, "⅛": 1 / 8, "⅜": 3 / 8, "⅝": 5 / 8, "⅞": 7 / 8,
+};
+
+// alias → canonical unit
+const UNIT_ALIASES = {
+  tsp: "tsp", teaspoon: "tsp", teaspoons: "tsp",
+  tbsp: "tbsp", tbs: "tbsp", tablespoon: "tbsp", tablespoons: "tbsp",
+  cup: "cup", cups: "cup", c: "cup",
+  "fl oz": "fl oz",
+  oz: "oz", ounce: "oz", ounces: "oz",
+  lb: "lb", lbs: "lb", pound: "lb", pounds: "lb",
+  g: "g", gram: "g", grams: "g",
+  kg: "kg", kilogram: "kg", kilograms: "kg",
+  ml: "ml", milliliter: "ml", milliliters: "ml", millilitre: "ml", millilitres: "ml",
+  l: "l", liter: "l", liters: "l", litre: "l", litres: "l",
+  clove: "clove", cloves: "clove",
+  can: "can", cans: "can",
+  bunch: "bunch", bunches: "bunch",
+  pinch: "pinch", pinches: "pinch",
+  slice: "slice", slices: "slice",
+  piece: "piece", pieces: "piece",
+  sprig: "sprig", sprigs: "sprig",
+  handful: "handful", handfuls: "handful",
+  stalk: "stalk", stalks: "stalk",
+  jar: "jar", jars: "jar",
+  package: "package", packages: "package", pkg: "package",
+  bottle: "bottle", bottles: "bottle",
+  box: "box", boxes: "box",
+  bag: "bag", bags: "bag",
+  carton: "carton", cartons: "carton",
+  container: "container", containers: "container",
+};
+
+// Units a parenthesized size can come in front of: "1 (15 oz) can", "2 (8-ounce) packages"
+const CONTAINER_UNITS = new Set(["can", "jar", "package", "bottle", "box", "bag", "carton", "container"]);
+
+// Units that can be summed with each other, expressed in a base unit
+export const UNIT_FAMILIES = {
+  volume: { base: "ml", factors: { tsp: 4.929, tbsp: 14.787, "fl oz": 29.574, cup: 236.588, ml: 1, l: 1000 } },
+  weight: { base: "g", factors: { g: 1, kg: 1000, oz: 28.3495, lb: 453.592 } },
+};
+
+export function unitFamily(unit) {
+  for (const [name, family] of Object.entries(UNIT_FAMILIES)) {
+    if (unit in family.factors) return name;
+  }
+  return null;
+}
+
+export function normalizeUnit(raw = "") {
+  const key = raw.toLowerCase().replace(/\.$/, "");
+  return UNIT_ALIASES[key] || null;
+}
+
+// "1 1/2", "1½", "¾", "1.5", "2-3" (upper bound — we're shopping, not cooking)
+const QUANTITY_RE = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+\s*[½⅓⅔¼¾⅕⅛⅜⅝⅞]|[½⅓⅔¼¾⅕⅛⅜⅝⅞]|\d*\.\d+|\d+)(?:\s*(?:-|–|to)\s*(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.?\d+))?/;
+
+export function parseQuantity(text = "") {
+  const t = text.trim();
+  if (!t) return null;
+
+  let total = 0;
+  for (const part of t.split(/\s+/)) {
+    const fraction = part.match(/^(\d*\.?\d*)([½⅓⅔¼¾⅕⅛⅜⅝⅞])$/);
+    if (fraction) {
+      total += (parseFloat(fraction[1]) || 0) + UNICODE_FRACTIONS[fraction[2]];
+    } else if (part.includes("/")) {
+      const [n, d] = part.split("/").map(Number);
+      if (!d) return null;
+      total += n / d;
+    } else {
+      const n = parseFloat(part);
+      if (!Number.isFinite(n)) return null;
+      total += n;
+    }
+  }
+  return total;
+}
+
+// "15 oz", "8-ounce", "400 g" → { quantity, unit }, or null when it isn't a measured size
+function parseSize(text = "") {
+  const m = text.trim().match(/^(\d*\.?\d+)\s*-?\s*(fl\.?\s*oz|[a-zA-Z]+\.?)$/);
+  if (!m) return null;
+  const unit = normalizeUnit(m[2].replace(/\s+/g, " ").replace("fl. oz", "fl oz"));
+  return unit && unitFamily(unit) ? { quantity: parseFloat(m[1]), unit } : null;
+}
+
+export function parseIngredientLine(line = "") {
+  const raw = line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, "").replace(/\*\*/g, "").trim();
+  let rest = raw;
+  let quantity = null;
+  let unit = null;
+
+  const q = rest.match(QUANTITY_RE);
+  if (q) {
+    quantity = parseQuantity(q[2] || q[1]);
+    rest = rest.slice(q[0].length).trim();
+  }
+
+  // "1 (15 oz) can chickpeas" — the size belongs to the can, not the line
+  let size = null;
+  const sized = rest.match(/^\(([^)]*)\)\s*/);
+  if (sized) {
+    const parsedSize = parseSize(sized[1]);
+    const container = rest.slice(sized[0].length).match(/^([a-zA-Z]+)(?=\s|$)/);
+    if (parsedSize && container && CONTAINER_UNITS.has(normalizeUnit(container[1]))) {
+      size = parsedSize;
+      rest = rest.slice(sized[0].length);
+    }
+  }
+
+  // "fl oz" is the only two-word unit we care about
+  const u = rest.match(/^(fl\.?\s*oz|[a-zA-Z]+\.?)(?=\s|$)/);
+  if (u) {
+    const canonical = normalizeUnit(u[1].replace(/\s+/g, " ").replace("fl. oz", "fl oz"));
+    if (canonical) {
+      unit = canonical;
+      rest = rest.slice(u[0].length).trim();
+    }
+  }
+
+  rest = rest.replace(/^of\s+/i, "");
+
+  // Prep notes live after a comma or in parentheses: "chicken thighs, diced (about 4)"
+  let note = "";
+  const paren = rest.match(/\(([^)]*)\)/);
+  if (paren) {
+    note = paren[1].trim();
+    rest = rest.replace(paren[0], "").trim();
+  }
+  const comma = rest.indexOf(",");
+  if (comma !== -1) {
+    note = [rest.slice(comma + 1).trim(), note].filter(Boolean).join("; ");
+    rest = rest.slice(0, comma).trim();
+  }
+
+  const toTaste = rest.match(/\s*,?\s*\b(to taste|as needed|for garnish|optional)$/i);
+  if (toTaste) {
+    note = [note, toTaste[1].toLowerCase()].filter(Boolean).join("; ");
+    rest = rest.slice(0, toTaste.index);
+  }
+
+  if (size) note = [`${size.quantity} ${size.unit} ${unit}`, note].filter(Boolean).join("; ");
+
+  return { raw, quantity, unit, item: rest.replace(/\s+/g, " ").trim(), note, size };
+}
+
+// Bullets under "### Ingredients" (stops at the next heading)
+export function extractIngredientLines(markdown = "") {
+  const lines = markdown.split("\n");
+  const start = lines.findIndex(l => /^#{1,4}\s*ingredients/i.test(l.trim()));
+  if (start === -1) return [];
+
+  const out = [];
+  for (const line of lines.slice(start + 1)) {
+    if (/^#{1,4}\s/.test(line.trim())) break;
+    if (/^\s*(?:[-*•]|\d+[.)])\s+/.test(line)) out.push(line.trim());
+  }
+  return out;
+}
+
+// Grouping key: "Fresh Cilantro Leaves" and "cilantro leaf" should land together
+export function ingredientKey(item = "") {
+  return item
+    .toLowerCase()
+    .replace(/\b(fresh|freshly|large|medium|small|boneless|skinless|organic|chopped|diced|minced|sliced)\b/g, "")
+    .replace(/[^a-z\s]/g, "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(w => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w))
+    .join(" ");
+}
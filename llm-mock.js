@@ -0,0 +1,210 @@
+// llm-mock.js
+import fs from "fs";
+
+/**
+ * Offline provider for development and tests — no network, no API key.
+ * Output is deterministic: a fixture per route, optionally overridden by a JSON file
+ * (LLM_MOCK_FIXTURES=./fixtures.json → { "chat": "...", "weekPlan": "{...}" }).
+ * LLM_MOCK_ERROR_STATUS=503 makes every call fail with that status (exercise fallbacks offline).
+ */
+
+const MONTHS = ["january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december"];
+
+function lastUserText(messages = []) {
+  const user = [...messages].reverse().find(m => m.role === "user");
+  return typeof user?.content === "string" ? user.content : "";
+}
+
+const mockMeal = (mealType, title, macros) => ({
+  mealType,
+  title,
+  description: `Mock ${mealType.toLowerCase()} built on the Protein and Plants Framework.`,
+  tags: ["high protein", "macro friendly", "quick and simple", "bold flavors"],
+  macros,
+});
+
+const MOCK_DAY = [
+  mockMeal("Breakfast", "Lemon Ricotta Protein Pancakes", { calories: 450, protein: 35, carbs: 50, fat: 12 }),
+  mockMeal("Lunch", "Harissa Chicken Couscous Bowl", { calories: 600, protein: 48, carbs: 60, fat: 16 }),
+  mockMeal("Dinner", "Miso-Glazed Salmon with Sesame Greens", { calories: 650, protein: 45, carbs: 55, fat: 24 }),
+];
+
+// "for 3 days, starting on July 29, 2025" → ["2025-07-29", "2025-07-30", "2025-07-31"]
+function datesFromPrompt(text) {
+  const days = Number(text.match(/plan meals for (\d+) day/i)?.[1]) || 1;
+  const start = text.match(/starting on ([A-Za-z]+) (\d{1,2}), (\d{4})/);
+  const month = start ? MONTHS.indexOf(start[1].toLowerCase()) : -1;
+  const first = month === -1
+    ? Date.UTC(2025, 6, 29)
+    : Date.UTC(Number(start[3]), month, Number(start[2]));
+
+  return Array.from({ length: days }, (_, i) => new Date(first + i * 86400000).toISOString().slice(0, 10));
+}
+
+const FIXTURES = {
+  chat: (messages) =>
+    `Mock coach here! You said: "${lastUserText(messages).slice(0, 200)}". Real talk — build it around a solid protein, load up the plants, and finish with acid + herbs.`,
+
+  breakdown: () => JSON.stringify({
+    dishName: "Chicken and Rice Bowl",
+    quickRead: "Looks like a lean, simple bowl with solid structure but not much contrast.",
+    mainIssue: "Short on sauce and acid, so it eats a little flat.",
+    upgradeHeadline: "Turn this into a bright, saucy bowl that still hits your protein goal.",
+    chefMoves: [
+      "Sear the chicken hard for a deeper crust and more flavor.",
+      "Swap half the rice for charred broccoli to add volume.",
+      "Finish with lime, scallions and a spoon of chili crisp.",
+    ],
+    chefNotes: "Real talk, this is a great base.",
+    resultSummary: "Same bowl energy — just brighter, saucier and way more craveable.",
+    confidenceNote: "Visual estimate only — exact ingredients and portions may vary.",
+  }),
+
+  weekPlan: (messages) => JSON.stringify(
+    Object.fromEntries(datesFromPrompt(lastUserText(messages)).map(iso => [iso, MOCK_DAY]))
+  ),
+
+  dayPlan: () => JSON.stringify(MOCK_DAY),
+
+  // Base components cooked on day one, remixed daily; lunch is the previous dinner's leftovers
+  batchPlan: (messages) => {
+    const dates = datesFromPrompt(lastUserText(messages));
+    const base = ["lemon-chicken", "herb-rice", "green-sauce"];
+    return JSON.stringify({
+      components: [
+        { id: "lemon-chicken", name: "Slow-Roasted Lemon Chicken", kind: "protein", yield: "3 lb", storage: "fridge", keepsDays: 4 },
+        { id: "herb-rice", name: "Herby Jasmine Rice", kind: "grain", yield: "6 cups cooked", keepsDays: 4 },
+        { id: "green-sauce", name: "Cilantro-Lime Green Sauce", kind: "sauce", yield: "2 cups", keepsDays: 5 },
+      ],
+      prep: dates.filter((_, i) => i % 4 === 0).map(date => ({
+        date,
+        title: "Mock batch session",
+        steps: [
+          { text: "Roast the chicken.", minutes: 60, components: ["lemon-chicken"] },
+          { text: "Cook the rice and blitz the sauce while it roasts.", minutes: 25, components: ["herb-rice", "green-sauce"] },
+        ],
+      })),
+      days: Object.fromEntries(dates.map((iso, i) => [iso, [
+        { ...MOCK_DAY[0] },
+        {
+          ...mockMeal("Lunch", "Lemon Chicken Rice Bowl", { calories: 600, protein: 48, carbs: 60, fat: 16 }),
+          components: base,
+          ...(i > 0 ? { leftover: { date: dates[i - 1], mealType: "Dinner", note: "Last night's plates, packed over rice" } } : {}),
+        },
+        { ...mockMeal("Dinner", "Green Sauce Chicken Plates", { calories: 650, protein: 45, carbs: 55, fat: 24 }), components: base },
+      ]])),
+    });
+  },
+
+  mealSwap: () => JSON.stringify(
+    mockMeal("Dinner", "Gochujang Turkey Lettuce Wraps", { calories: 540, protein: 44, carbs: 38, fat: 20 })
+  ),
+
+  instructions: () => `### Ingredients
+- 6 oz chicken breast, sliced thin
+- 1 cup cooked jasmine rice
+- 1 tbsp olive oil
+- 2 cloves garlic, minced
+- 1 lime, juiced
+- Salt and pepper to taste
+
+### Instructions
+1. Season the chicken with salt and pepper.
+2. Sear in olive oil over medium-high heat, 3–4 minutes per side.
+3. Add garlic for the last 30 seconds, then finish with lime juice.
+4. Serve over the rice.
+
+### Ben’s Chef’d Up Upgrades
+- Add a spoon of chili crisp for heat and crunch.
+- Toss in charred scallions for sweetness.`,
+
+  recipe: () => JSON.stringify({
+    servings: 1,
+    prepMinutes: 10,
+    cookMinutes: 12,
+    ingredients: [
+      { quantity: 6, unit: "oz", item: "chicken breast", note: "sliced thin" },
+      { quantity: 1, unit: "cup", item: "cooked jasmine rice" },
+      { quantity: 1, unit: "tbsp", item: "olive oil" },
+      { quantity: 2, unit: "clove", item: "garlic", note: "minced" },
+      { quantity: 1, unit: "", item: "lime", note: "juiced" },
+      { quantity: null, unit: "", item: "salt and pepper", note: "to taste" },
+    ],
+    steps: [
+      { text: "Season the chicken with salt and pepper." },
+      { text: "Sear in olive oil over medium-high heat until golden on both sides.", timerMinutes: 8 },
+      { text: "Add garlic for the last 30 seconds, then finish with lime juice." },
+      { text: "Serve over the rice." },
+    ],
+    upgrades: [
+      "Add a spoon of chili crisp for heat and crunch.",
+      "Toss in charred scallions for sweetness.",
+    ],
+  }),
+
+  metadata: () => JSON.stringify({
+    title: "Mock Saved Note",
+    summary: "A mock summary of the saved content.",
+    tags: ["mock", "high protein"],
+  }),
+};
+
+function loadFixtureOverrides() {
+  const file = process.env.LLM_MOCK_FIXTURES;
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.warn("⚠️ Could not read LLM_MOCK_FIXTURES:", err.message);
+    return {};
+  }
+}
+
+function maybeFail() {
+  const status = Number(process.env.LLM_MOCK_ERROR_STATUS);
+  if (!status) return;
+  const err = new Error(`Mock upstream error ${status}`);
+  err.status = status;
+  throw err;
+}
+
+export function createMockProvider() {
+  const overrides = loadFixtureOverrides();
+
+  const render = (route, messages) => {
+    if (typeof overrides[route] === "string") return overrides[route];
+    const fixture = FIXTURES[route];
+    return fixture ? fixture(messages) : `Mock response for "${route}".`;
+  };
+
+  const usageFor = (messages, text) => {
+    const promptTokens = Math.ceil(messages.reduce((n, m) => n + String(m.content).length, 0) / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+  };
+
+  return {
+    name: "mock",
+
+    async complete({ route, config, messages }) {
+      maybeFail();
+      const text = render(route, messages);
+      return { text, usage: usageFor(messages, text), model: `mock:${config.model}` };
+    },
+
+    async stream({ route, config, messages, signal, onDelta }) {
+      maybeFail();
+      const text = render(route, messages);
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          const err = new Error("Request was aborted.");
+          err.name = "AbortError";
+          throw err;
+        }
+        onDelta?.(piece);
+      }
+      return { text, usage: usageFor(messages, text), model: `mock:${config.model}` };
+    },
+  };
+}
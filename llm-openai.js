@@ -0,0 +1,94 @@
+// llm-openai.js
+import OpenAI from "openai";
+
+/**
+ * OpenAI implementation of the provider interface in llm.js.
+ * config.api === "responses" uses the Responses API (breakdown vision); everything else
+ * goes through Chat Completions.
+ */
+
+function withChatImages(messages, images) {
+  if (!images.length) return messages;
+
+  const lastUser = messages.map(m => m.role).lastIndexOf("user");
+  return messages.map((m, i) => i !== lastUser ? m : {
+    role: "user",
+    content: [
+      { type: "text", text: m.content },
+      ...images.map(img => ({ type: "image_url", image_url: { url: img.url, detail: img.detail || "auto" } })),
+    ],
+  });
+}
+
+function toResponsesInput(messages, images) {
+  const lastUser = messages.map(m => m.role).lastIndexOf("user");
+  return messages.map((m, i) => {
+    if (m.role === "assistant") return { role: "assistant", content: m.content };
+    return {
+      role: m.role,
+      content: [
+        { type: "input_text", text: m.content },
+        ...(i === lastUser
+          ? images.map(img => ({ type: "input_image", image_url: img.url, detail: img.detail || "auto" }))
+          : []),
+      ],
+    };
+  });
+}
+
+export function createOpenAIProvider({ apiKey }) {
+  // Retries + timeouts are handled in llm.js so fallbacks and the circuit breaker see every failure
+  const openai = new OpenAI({ apiKey, maxRetries: 0 });
+
+  return {
+    name: "openai",
+
+    async complete({ config, messages, images, signal }) {
+      if (config.api === "responses") {
+        const response = await openai.responses.create({
+          model: config.model,
+          input: toResponsesInput(messages, images),
+          ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+          ...(config.maxTokens ? { max_output_tokens: config.maxTokens } : {}),
+        }, { signal });
+        return { text: response.output_text || "", usage: response.usage || null, model: config.model };
+      }
+
+      const completion = await openai.chat.completions.create({
+        model: config.model,
+        messages: withChatImages(messages, images),
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+      }, { signal });
+
+      return {
+        text: completion.choices[0].message.content || "",
+        usage: completion.usage || null,
+        model: config.model,
+      };
+    },
+
+    async stream({ config, messages, signal, onDelta }) {
+      const chunks = await openai.chat.completions.create({
+        model: config.model,
+        messages,
+        temperature: config.temperature,
+        max_tokens: config.maxTokens,
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal });
+
+      let text = "";
+      let usage = null;
+      for await (const chunk of chunks) {
+        const delta = chunk.choices?.[0]?.delta?.content || "";
+        if (delta) {
+          text += delta;
+          onDelta?.(delta);
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+      return { text, usage, model: config.model };
+    },
+  };
+}
@@ -0,0 +1,267 @@
+// llm.js
+import { createOpenAIProvider } from "./llm-openai.js";
+import { createMockProvider } from "./llm-mock.js";
+import { LLMError } from "./errors.js";
+
+/**
+ * 🧠 LLM provider layer — every route talks to the model through complete()/stream()
+ *
+ * Messages are plain { role, content: string }; images ride along separately and are
+ * attached to the last user turn by the provider. Per-route model + params live in
+ * ROUTE_CONFIG and can be overridden with env, e.g. LLM_MODEL_WEEK_PLAN=gpt-4o-mini.
+ *
+ * Resilience, per call:
+ * - timeoutMs per attempt
+ * - `retries` extra attempts with jittered backoff on 429 / 5xx / timeouts / network errors
+ * - then the next model in `fallbacks`
+ * - a per-model circuit breaker skips models that keep failing, and when every model is
+ *   out we fail fast with "coach_busy" instead of making the user wait on a dead upstream
+ *
+ * LLM_PROVIDER=mock runs the whole API offline against deterministic fixtures (llm-mock.js);
+ * signed-in routes need the Firebase emulators for that (firebase.js).
+ */
+
+export const ROUTE_CONFIG = {
+  chat:         { model: "gpt-4o", temperature: 0.7, maxTokens: 1000, timeoutMs: 30000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  breakdown:    { model: "gpt-4.1-mini", api: "responses", timeoutMs: 45000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  weekPlan:     { model: "gpt-4o", temperature: 0.7, maxTokens: 2200, timeoutMs: 90000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  batchPlan:    { model: "gpt-4o", temperature: 0.7, maxTokens: 4000, timeoutMs: 120000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  dayPlan:      { model: "gpt-4o", temperature: 0.7, maxTokens: 1000, timeoutMs: 45000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  mealSwap:     { model: "gpt-4o", temperature: 0.8, maxTokens: 400, timeoutMs: 30000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  instructions: { model: "gpt-4o", temperature: 0.7, maxTokens: 1000, timeoutMs: 45000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  recipe:       { model: "gpt-4o", temperature: 0.6, maxTokens: 1600, timeoutMs: 60000, retries: 1, fallbacks: ["gpt-4o-mini"] },
+  metadata:     { model: "gpt-4o", temperature: 0.5, maxTokens: 200, timeoutMs: 15000, retries: 2, fallbacks: ["gpt-4o-mini"] },
+};
+
+const RETRY_BASE_MS = 500;
+
+// Circuit breaker: BREAKER_THRESHOLD failures inside BREAKER_WINDOW_MS opens it for BREAKER_COOLDOWN_MS
+const BREAKER_THRESHOLD = 5;
+const BREAKER_WINDOW_MS = 60 * 1000;
+const BREAKER_COOLDOWN_MS = 30 * 1000;
+
+const providers = {};
+const breakers = new Map(); // model → { failures: [timestamps], openUntil }
+
+export function providerName() {
+  return (process.env.LLM_PROVIDER || "openai").trim().toLowerCase();
+}
+
+// Created lazily so dotenv has loaded before we read any keys
+function getProvider() {
+  const name = providerName();
+  if (!providers[name]) {
+    if (name === "openai") providers[name] = createOpenAIProvider({ apiKey: process.env.OPENAI_API_KEY });
+    else if (name === "mock") providers[name] = createMockProvider();
+    else throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+  }
+  return providers[name];
+}
+
+// weekPlan → WEEK_PLAN
+function envKey(route) {
+  return route.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+export function routeConfig(route) {
+  const base = ROUTE_CONFIG[route];
+  if (!base) throw new Error(`No LLM config for route "${route}"`);
+
+  const key = envKey(route);
+  const temperature = process.env[`LLM_TEMPERATURE_${key}`];
+  const maxTokens = process.env[`LLM_MAX_TOKENS_${key}`];
+  const timeoutMs = process.env[`LLM_TIMEOUT_MS_${key}`];
+  const fallbacks = process.env[`LLM_FALLBACKS_${key}`]; // "gpt-4o-mini,gpt-4.1-mini" or "" for none
+
+  return {
+    ...base,
+    model: process.env[`LLM_MODEL_${key}`] || base.model,
+    ...(temperature !== undefined ? { temperature: Number(temperature) } : {}),
+    ...(maxTokens !== undefined ? { maxTokens: Number(maxTokens) } : {}),
+    ...(timeoutMs !== undefined ? { timeoutMs: Number(timeoutMs) } : {}),
+    ...(fallbacks !== undefined ? { fallbacks: fallbacks.split(",").map(s => s.trim()).filter(Boolean) } : {}),
+  };
+}
+
+// --------------- circuit breaker ----------------
+function breakerFor(model) {
+  if (!breakers.has(model)) breakers.set(model, { failures: [], openUntil: 0 });
+  return breakers.get(model);
+}
+
+function breakerOpen(model) {
+  return breakerFor(model).openUntil > Date.now();
+}
+
+function recordFailure(model) {
+  const breaker = breakerFor(model);
+  const now = Date.now();
+  breaker.failures = breaker.failures.filter(t => now - t < BREAKER_WINDOW_MS);
+  breaker.failures.push(now);
+  if (breaker.failures.length >= BREAKER_THRESHOLD) {
+    breaker.openUntil = now + BREAKER_COOLDOWN_MS;
+    breaker.failures = [];
+    console.error(`🔌 LLM circuit OPEN for ${model} (${BREAKER_COOLDOWN_MS / 1000}s)`);
+  }
+}
+
+function recordSuccess(model) {
+  const breaker = breakerFor(model);
+  breaker.failures = [];
+  breaker.openUntil = 0;
+}
+
+// Seconds until the first model in the chain is worth trying again
+function retryAfterSeconds(models) {
+  const soonest = Math.min(...models.map(m => breakerFor(m).openUntil || Date.now()));
+  return Math.max(1, Math.ceil((soonest - Date.now()) / 1000));
+}
+
+// --------------- error classification ----------------
+function isAbort(err) {
+  return err?.name === "AbortError" || err?.constructor?.name === "APIUserAbortError";
+}
+
+function classify(err) {
+  if (err?.code === "llm_timeout") return "timeout";
+  const status = err?.status;
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return "server";
+  if (!status && /connection|network|ECONNRESET|ETIMEDOUT|socket/i.test(`${err?.name} ${err?.message}`)) return "network";
+  return "fatal"; // 400/401/404 etc. — retrying or switching models won't help
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 500ms, 1s, 2s ... × 0.5–1.5 jitter
+function jitteredDelay(attempt) {
+  return Math.round(RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random()));
+}
+
+// Per-attempt timeout layered on the caller's signal (client disconnects still abort)
+async function withTimeout(timeoutMs, callerSignal, fn) {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = timeoutMs ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+  const onCallerAbort = () => controller.abort();
+  callerSignal?.addEventListener("abort", onCallerAbort, { once: true });
+
+  try {
+    return await fn(controller.signal);
+  } catch (err) {
+    if (timedOut) {
+      const timeoutErr = new Error(`LLM call timed out after ${timeoutMs}ms`);
+      timeoutErr.code = "llm_timeout";
+      throw timeoutErr;
+    }
+    throw err;
+  } finally {
+    if (timer) clearTimeout(timer);
+    callerSignal?.removeEventListener("abort", onCallerAbort);
+  }
+}
+
+function exhaustedError(route, models, lastKind) {
+  if (models.every(breakerOpen) || lastKind === "rate_limited") {
+    return new LLMError(503, "coach_busy", "The coach is swamped right now — give it a moment and try again.", {
+      retryable: true,
+      retryAfter: retryAfterSeconds(models),
+    });
+  }
+  if (lastKind === "timeout") {
+    return new LLMError(504, "coach_timeout", "The coach took too long to respond. Please try again.", {
+      retryable: true,
+      retryAfter: 5,
+    });
+  }
+  return new LLMError(503, "coach_unavailable", "The coach is temporarily unavailable. Please try again shortly.", {
+    retryable: true,
+    retryAfter: 10,
+  });
+}
+
+/**
+ * Runs `call(config, signal)` over the model chain with retries, timeouts and the breaker.
+ * `canRetry()` lets streaming stop retrying once tokens have reached the client.
+ */
+async function runWithResilience(route, callerSignal, call, { canRetry = () => true } = {}) {
+  const base = routeConfig(route);
+  const models = [base.model, ...(base.fallbacks || []).filter(m => m !== base.model)];
+  let lastKind = null;
+
+  for (const model of models) {
+    if (breakerOpen(model)) {
+      console.warn(`⏭️ [${route}] skipping ${model} (circuit open)`);
+      continue;
+    }
+
+    const config = { ...base, model };
+    const attempts = 1 + (base.retries || 0);
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      try {
+        const result = await withTimeout(config.timeoutMs, callerSignal, (signal) => call(config, signal));
+        recordSuccess(model);
+        if (model !== base.model) console.warn(`↪️ [${route}] served by fallback ${model}`);
+        return result;
+      } catch (err) {
+        if (callerSignal?.aborted || (isAbort(err) && err?.code !== "llm_timeout")) throw err;
+
+        lastKind = classify(err);
+        if (lastKind === "fatal") {
+          console.error(`❌ [${route}] ${model} failed (not retryable):`, err.status || "", err.message);
+          throw new LLMError(502, "ai_request_failed", "The coach couldn't handle that request.", { retryable: false });
+        }
+
+        recordFailure(model);
+        console.warn(`⚠️ [${route}] ${model} attempt ${attempt + 1}/${attempts} failed (${lastKind}):`, err.message);
+
+        if (!canRetry()) throw exhaustedError(route, models, lastKind);
+        if (breakerOpen(model)) break;
+        if (attempt < attempts - 1) await sleep(jitteredDelay(attempt));
+      }
+    }
+  }
+
+  throw exhaustedError(route, models, lastKind);
+}
+
+/**
+ * complete({ route, messages, images, signal }) → { text, usage, model }
+ * images: [{ url: "data:image/...", detail: "high" }]
+ */
+export async function complete({ route, messages, images = [], signal }) {
+  const provider = getProvider();
+  return runWithResilience(route, signal, (config, attemptSignal) =>
+    provider.complete({ route, config, messages, images, signal: attemptSignal })
+  );
+}
+
+/**
+ * stream({ route, messages, signal, onDelta }) → { text, usage, model }
+ * onDelta(text) fires for every chunk as it arrives. Retries/fallbacks only happen
+ * before the first chunk — after that the client has partial output, so errors surface.
+ */
+export async function stream({ route, messages, signal, onDelta }) {
+  const provider = getProvider();
+  let started = false;
+
+  return runWithResilience(
+    route,
+    signal,
+    (config, attemptSignal) => provider.stream({
+      route,
+      config,
+      messages,
+      signal: attemptSignal,
+      onDelta: (delta) => {
+        started = true;
+        onDelta?.(delta);
+      },
+    }),
+    { canRetry: () => !started }
+  );
+}
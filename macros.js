@@ -0,0 +1,105 @@
+// macros.js
+
+/**
+ * 📊 Macro check for generated plans
+ * - Every meal carries model-estimated macros ({ calories, protein, carbs, fat })
+ * - Each day gets totals vs the Flavor Profile targets
+ * - Days off by more than the tolerance get their portions scaled (rebalance) and/or flagged
+ */
+
+export const MACRO_KEYS = ["calories", "protein", "carbs", "fat"];
+
+const DEFAULT_TOLERANCE = Number(process.env.MACRO_TOLERANCE) || 0.1; // ±10%
+const MIN_PORTION = 0.75;
+const MAX_PORTION = 1.25;
+
+// Profile targets are free-form ("2,000", "150g", 180) — keep the number, drop the rest
+function parseTarget(value) {
+  if (typeof value === "number") return value > 0 ? value : null;
+  if (typeof value !== "string") return null;
+  const n = parseFloat(value.replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function getMacroTargets(profile = {}) {
+  const targets = {};
+  for (const key of MACRO_KEYS) {
+    const n = parseTarget(profile?.[key]);
+    if (n) targets[key] = n;
+  }
+  return targets;
+}
+
+export function resolveTolerance(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n < 1 ? n : DEFAULT_TOLERANCE;
+}
+
+function round(n) {
+  return Math.round(n);
+}
+
+function sumMeals(meals = []) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+  for (const meal of meals) {
+    for (const key of MACRO_KEYS) totals[key] += Number(meal?.macros?.[key]) || 0;
+  }
+  for (const key of MACRO_KEYS) totals[key] = round(totals[key]);
+  return totals;
+}
+
+function compareToTargets(totals, targets, tolerance) {
+  const delta = {};
+  const offTarget = [];
+  for (const [key, target] of Object.entries(targets)) {
+    delta[key] = round(totals[key] - target);
+    if (Math.abs(totals[key] - target) / target > tolerance) offTarget.push(key);
+  }
+  return { delta, offTarget };
+}
+
+function scaleMeal(meal, factor) {
+  const macros = {};
+  for (const key of MACRO_KEYS) macros[key] = round((Number(meal.macros?.[key]) || 0) * factor);
+  return { ...meal, macros, portion: Math.round(factor * 100) / 100 };
+}
+
+/**
+ * Returns { plan, days } where `plan` is the (possibly portion-adjusted) ISO-keyed plan and
+ * `days[iso]` is { totals, targets, delta, withinTolerance, offTarget, rebalanced }.
+ */
+export function reviewPlanMacros(isoPlan, profile, { tolerance, rebalance = true } = {}) {
+  const targets = getMacroTargets(profile);
+  const tol = resolveTolerance(tolerance);
+  const plan = {};
+  const days = {};
+
+  for (const [iso, meals] of Object.entries(isoPlan || {})) {
+    let dayMeals = meals;
+    let totals = sumMeals(dayMeals);
+    let { delta, offTarget } = compareToTargets(totals, targets, tol);
+    let rebalanced = false;
+
+    // Calories drive portion size; protein/carbs/fat follow the same scale
+    if (rebalance && offTarget.includes("calories") && totals.calories > 0) {
+      const factor = Math.min(MAX_PORTION, Math.max(MIN_PORTION, targets.calories / totals.calories));
+      dayMeals = meals.map(meal => scaleMeal(meal, factor));
+      totals = sumMeals(dayMeals);
+      ({ delta, offTarget } = compareToTargets(totals, targets, tol));
+      rebalanced = true;
+    }
+
+    plan[iso] = dayMeals;
+    days[iso] = {
+      totals,
+      targets,
+      delta,
+      tolerance: tol,
+      withinTolerance: offTarget.length === 0,
+      offTarget,
+      rebalanced,
+    };
+  }
+
+  return { plan, days };
+}
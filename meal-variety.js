@@ -0,0 +1,94 @@
+// meal-variety.js
+
+/**
+ * 🔁 Rough protein / cuisine detection for planned meals, from title, description and tags.
+ * Used by meal swaps so a replacement doesn't bring back what the rest of the plan already has.
+ */
+
+const PROTEINS = {
+  chicken: ["chicken"],
+  turkey: ["turkey"],
+  beef: ["beef", "steak", "brisket", "sirloin", "flank", "bulgogi", "meatball"],
+  pork: ["pork", "bacon", "ham", "chorizo", "prosciutto", "carnitas", "sausage"],
+  lamb: ["lamb"],
+  salmon: ["salmon"],
+  tuna: ["tuna", "ahi"],
+  shrimp: ["shrimp", "prawn", "scallop"],
+  "white fish": ["cod", "halibut", "tilapia", "mahi", "sea bass", "snapper", "white fish"],
+  egg: ["egg", "eggs", "omelet", "omelette", "frittata", "shakshuka"],
+  tofu: ["tofu", "tempeh", "seitan", "edamame"],
+  legumes: ["lentil", "lentils", "chickpea", "chickpeas", "black bean", "black beans", "dal"],
+  "greek yogurt": ["greek yogurt", "skyr"],
+  "cottage cheese": ["cottage cheese", "ricotta"],
+};
+
+const CUISINES = {
+  mexican: ["mexican", "taco", "tacos", "burrito", "enchilada", "fajita", "chipotle", "carnitas", "al pastor", "tex-mex"],
+  italian: ["italian", "pasta", "risotto", "pesto", "marinara", "parmesan crusted", "piccata", "gnocchi"],
+  thai: ["thai", "pad thai", "larb", "green curry", "red curry"],
+  indian: ["indian", "tikka", "masala", "tandoori", "korma", "dal", "vindaloo"],
+  japanese: ["japanese", "miso", "teriyaki", "ramen", "sushi", "katsu", "donburi"],
+  korean: ["korean", "gochujang", "bulgogi", "kimchi", "bibimbap"],
+  chinese: ["chinese", "szechuan", "sichuan", "kung pao", "lo mein", "five spice"],
+  vietnamese: ["vietnamese", "banh mi", "pho", "nuoc cham"],
+  mediterranean: ["mediterranean", "greek", "tzatziki", "souvlaki", "feta"],
+  "middle eastern": ["middle eastern", "shawarma", "za'atar", "zaatar", "falafel", "tahini", "sumac"],
+  "north african": ["north african", "moroccan", "harissa", "tagine", "shakshuka"],
+  southern: ["southern", "cajun", "creole", "bbq", "barbecue", "jambalaya"],
+  caribbean: ["caribbean", "jerk", "cuban", "mojo"],
+};
+
+function mealText(meal = {}) {
+  return [meal.title, meal.description, ...(meal.tags || [])]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+}
+
+function matchGroups(text, groups) {
+  return Object.entries(groups)
+    .filter(([, words]) => words.some(w => new RegExp(`\\b${w}\\b`).test(text)))
+    .map(([name]) => name);
+}
+
+export function mealProteins(meal) {
+  return matchGroups(mealText(meal), PROTEINS);
+}
+
+export function mealCuisines(meal) {
+  return matchGroups(mealText(meal), CUISINES);
+}
+
+// { chicken: 3, salmon: 1 } across a list of meals
+function countGroups(meals, detect) {
+  const counts = {};
+  for (const meal of meals) {
+    for (const name of detect(meal)) counts[name] = (counts[name] || 0) + 1;
+  }
+  return counts;
+}
+
+export function varietySummary(meals) {
+  return {
+    proteins: countGroups(meals, mealProteins),
+    cuisines: countGroups(meals, mealCuisines),
+  };
+}
+
+// Problems for generateJson's check(): the replacement may not reuse a protein or cuisine from `nearby`
+export function checkSwapVariety(meal, nearby, { original } = {}) {
+  const { proteins, cuisines } = varietySummary(nearby);
+  const problems = [];
+
+  for (const p of mealProteins(meal)) {
+    if (proteins[p]) problems.push(`"${meal.title}" uses ${p}, which is already planned nearby — pick a different protein`);
+  }
+  for (const c of mealCuisines(meal)) {
+    if (cuisines[c]) problems.push(`"${meal.title}" is ${c}, which is already planned nearby — pick a different cuisine`);
+  }
+  if (original?.title && meal.title.trim().toLowerCase() === original.title.trim().toLowerCase()) {
+    problems.push(`"${meal.title}" is the meal being replaced — suggest something new`);
+  }
+
+  return problems;
+}
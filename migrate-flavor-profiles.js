@@ -0,0 +1,70 @@
+// migrate-flavor-profiles.js
+import { FieldPath, FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { normalizeProfile, isCurrentProfile, PROFILE_VERSION } from "./profile-schema.js";
+
+/**
+ * 🔧 One-off migration: users/{uid}.flavorProfile → canonical schema (profile-schema.js)
+ *
+ *   node migrate-flavor-profiles.js --dry-run   # report what would change
+ *   node migrate-flavor-profiles.js             # write it
+ *
+ * The original map is kept as users/{uid}.flavorProfileLegacy so nothing is lost.
+ * Safe to re-run: profiles already at PROFILE_VERSION are skipped.
+ */
+
+const PAGE_SIZE = 300;
+const dryRun = process.argv.includes("--dry-run");
+
+async function migrate() {
+  let last = null;
+  let scanned = 0;
+  let migrated = 0;
+  let skipped = 0;
+
+  for (;;) {
+    let query = db.collection("users").orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const snap = await query.get();
+    if (snap.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+
+    for (const doc of snap.docs) {
+      scanned++;
+      const stored = doc.data()?.flavorProfile;
+      if (!stored || isCurrentProfile(stored)) {
+        skipped++;
+        continue;
+      }
+
+      const profile = normalizeProfile(stored);
+      if (dryRun) {
+        console.log(`🔎 ${doc.id}:`, JSON.stringify(stored), "→", JSON.stringify(profile));
+      } else {
+        batch.update(doc.ref, {
+          flavorProfile: { ...profile, updatedAt: FieldValue.serverTimestamp() },
+          flavorProfileLegacy: stored,
+        });
+        writes++;
+      }
+      migrated++;
+    }
+
+    if (writes) await batch.commit();
+    last = snap.docs[snap.docs.length - 1];
+    console.log(`… ${scanned} users scanned`);
+  }
+
+  console.log(`✅ ${dryRun ? "Would migrate" : "Migrated"} ${migrated} profile(s) to v${PROFILE_VERSION}; ${skipped} skipped (${scanned} scanned).`);
+}
+
+migrate().then(
+  () => process.exit(0),
+  (err) => {
+    console.error("❌ Profile migration failed:", err.message || err);
+    process.exit(1);
+  }
+);
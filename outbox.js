@@ -0,0 +1,226 @@
+// outbox.js
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth, requireAdmin } from "./auth.js";
+import { ghlV1UpsertContact, convertKitSubscribe } from "./crm.js";
+
+/**
+ * 📬 CRM outbox — crmOutbox/{taskId}
+ *   { kind, payload, eventId, status: pending|processing|succeeded|dead,
+ *     attempts, nextAttemptAt, lockedUntil, lastError, createdAt, updatedAt }
+ * Webhooks only write tasks here; the worker below delivers them with exponential
+ * backoff and parks anything that keeps failing as "dead" for an admin to retry.
+ * (Firestore indexes: crmOutbox status ASC + nextAttemptAt ASC (worker), status ASC + lockedUntil ASC
+ *  (stale-lock sweep), status ASC + updatedAt DESC (GET /admin/outbox))
+ */
+
+const OUTBOX_COLLECTION = "crmOutbox";
+
+const POLL_INTERVAL_MS = Number(process.env.OUTBOX_POLL_MS) || 15 * 1000;
+const BATCH_SIZE = 10;
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const LOCK_MS = 2 * 60 * 1000;
+
+const HANDLERS = {
+  ghl_upsert: (payload) => ghlV1UpsertContact(payload),
+  convertkit_subscribe: (payload) => convertKitSubscribe(payload),
+};
+
+function outboxRef() {
+  return db.collection(OUTBOX_COLLECTION);
+}
+
+// 30s, 1m, 2m, 4m ... capped at 1h, ±20% jitter so retries don't stampede GHL
+export function backoffMs(attempts) {
+  const base = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Adds tasks to a write batch. Ids are derived from the Stripe event, so a replayed
+ * event can't enqueue the same delivery twice.
+ * tasks: [{ kind: "ghl_upsert" | "convertkit_subscribe", payload }]
+ */
+export function enqueueCrmTasks(batch, eventId, tasks = []) {
+  tasks.forEach((task, i) => {
+    if (!HANDLERS[task.kind]) throw new Error(`Unknown outbox task kind: ${task.kind}`);
+    batch.set(outboxRef().doc(`${eventId}_${i}_${task.kind}`), {
+      kind: task.kind,
+      payload: task.payload,
+      eventId,
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: Timestamp.now(),
+      lockedUntil: null,
+      lastError: null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+}
+
+// pending → processing, only if nobody else grabbed it first
+async function claimTask(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== "pending") return null;
+    tx.update(ref, {
+      status: "processing",
+      lockedUntil: Timestamp.fromMillis(Date.now() + LOCK_MS),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return snap.data();
+  });
+}
+
+async function runTask(ref, task) {
+  const attempts = (task.attempts || 0) + 1;
+
+  try {
+    await HANDLERS[task.kind](task.payload);
+    await ref.update({
+      status: "succeeded",
+      attempts,
+      lockedUntil: null,
+      lastError: null,
+      completedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (err) {
+    const retryable = err?.retryable !== false;
+    const dead = !retryable || attempts >= MAX_ATTEMPTS;
+
+    await ref.update({
+      status: dead ? "dead" : "pending",
+      attempts,
+      lockedUntil: null,
+      lastError: String(err?.message || err).slice(0, 1000),
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + (dead ? 0 : backoffMs(attempts))),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+
+    const log = dead ? console.error : console.warn;
+    log(`[Outbox] ${task.kind} ${ref.id} ${dead ? "DEAD" : "retry scheduled"} (attempt ${attempts}):`, err?.message);
+  }
+}
+
+// Tasks stuck in "processing" past their lock (crash, deploy) go back to pending
+async function releaseStaleLocks() {
+  const stale = await outboxRef()
+    .where("status", "==", "processing")
+    .where("lockedUntil", "<=", Timestamp.now())
+    .limit(BATCH_SIZE)
+    .get();
+
+  for (const doc of stale.docs) {
+    await doc.ref.update({ status: "pending", lockedUntil: null, updatedAt: FieldValue.serverTimestamp() });
+  }
+}
+
+export async function processOutboxOnce() {
+  await releaseStaleLocks();
+
+  const due = await outboxRef()
+    .where("status", "==", "pending")
+    .where("nextAttemptAt", "<=", Timestamp.now())
+    .orderBy("nextAttemptAt", "asc")
+    .limit(BATCH_SIZE)
+    .get();
+
+  for (const doc of due.docs) {
+    const task = await claimTask(doc.ref);
+    if (task) await runTask(doc.ref, task);
+  }
+
+  return due.size;
+}
+
+export function startOutboxWorker() {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // a slow batch shouldn't overlap the next poll
+    running = true;
+    try {
+      await processOutboxOnce();
+    } catch (err) {
+      console.error("[Outbox] Worker tick failed:", err.message || err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+  console.log(`📬 CRM outbox worker polling every ${POLL_INTERVAL_MS / 1000}s`);
+  return () => clearInterval(timer);
+}
+
+function serializeTask(doc) {
+  const data = doc.data() || {};
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: doc.id,
+    kind: data.kind,
+    eventId: data.eventId,
+    status: data.status,
+    attempts: data.attempts || 0,
+    lastError: data.lastError || null,
+    email: data.payload?.email || null,
+    nextAttemptAt: iso(data.nextAttemptAt),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+// --------------- Admin route registration ----------------
+export function registerOutboxAdminRoutes(app) {
+  const guards = [requireAuth(), requireAdmin()];
+
+  // GET /admin/outbox?status=dead&limit=50
+  app.get("/admin/outbox", guards, async (req, res) => {
+    const status = String(req.query.status || "dead");
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    try {
+      const snap = await outboxRef()
+        .where("status", "==", status)
+        .orderBy("updatedAt", "desc")
+        .limit(limit)
+        .get();
+      res.json({ success: true, tasks: snap.docs.map(serializeTask) });
+    } catch (err) {
+      console.error("❌ Failed to list outbox:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to list outbox." });
+    }
+  });
+
+  // POST /admin/outbox/:taskId/retry → back to pending with a fresh attempt budget
+  app.post("/admin/outbox/:taskId/retry", guards, async (req, res) => {
+    try {
+      const ref = outboxRef().doc(req.params.taskId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Task not found." });
+      }
+      if (snap.data().status === "processing") {
+        return res.status(409).json({ success: false, error: "Task is being processed." });
+      }
+
+      await ref.update({
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: Timestamp.now(),
+        lockedUntil: null,
+        retriedBy: req.uid,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      res.json({ success: true, task: serializeTask(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to retry outbox task:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to retry task." });
+    }
+  });
+}
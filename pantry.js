@@ -0,0 +1,284 @@
+// pantry.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+import { ingredientKey, normalizeUnit } from "./ingredients.js";
+
+/**
+ * 🥫 Pantry inventory — users/{uid}/pantry/{itemId}
+ *   { item, quantity (number|null), unit, expiresOn ("YYYY-MM-DD"|null),
+ *     notes, createdAt, updatedAt }
+ *
+ * Reads add { daysLeft, status: expired|expiring|fresh|null } and come back soonest-to-expire
+ * first. Planner payloads with `usePantry: true` cook from it ("use what I have"): meals list
+ * the `pantryItems` they use and the `toBuy` extras, and summarizePantryUse() rolls that up.
+ * Chat gets the same list as context (prompt.js buildPantryPrompt).
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export const EXPIRING_SOON_DAYS = 3;
+
+const MAX_ITEMS = 200;
+const MAX_BATCH = 50;
+const MAX_ITEM_LENGTH = 80;
+const MAX_UNIT_LENGTH = 20;
+const MAX_NOTES = 200;
+
+function pantryRef(uid) {
+  return db.collection("users").doc(uid).collection("pantry");
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function expiryStatus(expiresOn, today = todayIso()) {
+  if (!expiresOn) return { daysLeft: null, status: null };
+  const daysLeft = Math.round((Date.parse(expiresOn) - Date.parse(today)) / ONE_DAY_MS);
+  const status = daysLeft < 0 ? "expired" : daysLeft <= EXPIRING_SOON_DAYS ? "expiring" : "fresh";
+  return { daysLeft, status };
+}
+
+function serializePantryItem(doc, today) {
+  const data = doc.data() || {};
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: doc.id,
+    item: data.item,
+    quantity: data.quantity ?? null,
+    unit: data.unit || "",
+    expiresOn: data.expiresOn || null,
+    ...expiryStatus(data.expiresOn, today),
+    notes: data.notes || "",
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+// Soonest expiry first; no expiry date last, then alphabetical
+function byExpiry(a, b) {
+  if (a.expiresOn && b.expiresOn && a.expiresOn !== b.expiresOn) return a.expiresOn.localeCompare(b.expiresOn);
+  if (!!a.expiresOn !== !!b.expiresOn) return a.expiresOn ? -1 : 1;
+  return a.item.localeCompare(b.item);
+}
+
+// Returns { error } or { data } — `partial` for PATCH (only provided fields are checked)
+function readPantryInput(body = {}, { partial = false } = {}) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { error: "Each pantry item must be an object." };
+  const data = {};
+
+  if (!partial || body.item !== undefined) {
+    const item = typeof body.item === "string" ? body.item.trim() : "";
+    if (!item) return { error: "item is required." };
+    if (item.length > MAX_ITEM_LENGTH) return { error: `item must be at most ${MAX_ITEM_LENGTH} characters.` };
+    if (!ingredientKey(item)) return { error: "item must name an ingredient." };
+    data.item = item;
+  }
+
+  if (body.quantity !== undefined) {
+    const n = body.quantity === null ? null : Number(body.quantity);
+    if (n !== null && (!Number.isFinite(n) || n < 0)) return { error: "quantity must be a non-negative number or null." };
+    data.quantity = n;
+  } else if (!partial) {
+    data.quantity = null;
+  }
+
+  if (body.unit !== undefined) {
+    if (body.unit !== null && typeof body.unit !== "string") return { error: "unit must be a string." };
+    const unit = (body.unit || "").trim();
+    data.unit = normalizeUnit(unit) || unit.toLowerCase().slice(0, MAX_UNIT_LENGTH);
+  } else if (!partial) {
+    data.unit = "";
+  }
+
+  if (body.expiresOn !== undefined) {
+    if (body.expiresOn !== null && (!ISO_DATE.test(body.expiresOn) || Number.isNaN(Date.parse(body.expiresOn)))) {
+      return { error: "expiresOn must be a YYYY-MM-DD date or null." };
+    }
+    data.expiresOn = body.expiresOn;
+  } else if (!partial) {
+    data.expiresOn = null;
+  }
+
+  if (body.notes !== undefined) {
+    if (body.notes !== null && typeof body.notes !== "string") return { error: "notes must be a string." };
+    data.notes = (body.notes || "").trim().slice(0, MAX_NOTES);
+  }
+
+  if (partial && !Object.keys(data).length) return { error: "Nothing to update." };
+
+  return { data };
+}
+
+export async function loadPantry(uid) {
+  const today = todayIso();
+  const snap = await pantryRef(uid).limit(MAX_ITEMS).get();
+  return snap.docs.map(doc => serializePantryItem(doc, today)).sort(byExpiry);
+}
+
+function lastWord(key) {
+  return key.slice(key.lastIndexOf(" ") + 1);
+}
+
+// Pantry entry a free-text ingredient refers to ("baby spinach" ↔ "spinach"), if any.
+// The last word has to agree too, so "chicken stock" doesn't match "chicken". Expired
+// entries never match — the planner prompt leaves them out, so a meal can't be cooking them.
+export function matchPantryItem(name, pantry = []) {
+  const key = ingredientKey(String(name || ""));
+  if (!key) return null;
+  const padded = ` ${key} `;
+  return pantry.find(p => {
+    if (p.status === "expired") return false;
+    const itemKey = ingredientKey(p.item);
+    if (!itemKey || lastWord(itemKey) !== lastWord(key)) return false;
+    return padded.includes(` ${itemKey} `) || ` ${itemKey} `.includes(padded);
+  }) || null;
+}
+
+/**
+ * Keeps a meal's pantryItems honest: names that aren't actually in the pantry move to toBuy,
+ * and the rest are rewritten to the pantry's own item names.
+ */
+export function annotatePantryMeal(meal, pantry = []) {
+  const used = [];
+  const toBuy = Array.isArray(meal.toBuy) ? meal.toBuy.filter(i => typeof i === "string" && i.trim()) : [];
+
+  for (const name of Array.isArray(meal.pantryItems) ? meal.pantryItems : []) {
+    const match = matchPantryItem(name, pantry);
+    if (match) {
+      if (!used.includes(match.item)) used.push(match.item);
+    } else if (typeof name === "string" && name.trim()) {
+      toBuy.push(name.trim());
+    }
+  }
+
+  return { ...meal, pantryItems: used, toBuy: toBuy.filter(name => !matchPantryItem(name, pantry)) };
+}
+
+/**
+ * Plan-level "use what I have" report:
+ *   used: [{ item, expiresOn, meals }], unusedExpiring: [{ item, expiresOn, daysLeft }],
+ *   toBuy: [{ item, meals }] (de-duped across meals)
+ */
+export function summarizePantryUse(isoPlan = {}, pantry = []) {
+  const used = new Map();
+  const toBuy = new Map();
+
+  for (const [iso, meals] of Object.entries(isoPlan).sort(([a], [b]) => a.localeCompare(b))) {
+    for (const meal of meals || []) {
+      const label = `${iso} ${meal.mealType}: ${meal.title}`;
+      for (const item of meal.pantryItems || []) {
+        if (!used.has(item)) used.set(item, []);
+        used.get(item).push(label);
+      }
+      for (const item of meal.toBuy || []) {
+        const key = ingredientKey(item);
+        if (!key) continue;
+        if (!toBuy.has(key)) toBuy.set(key, { item, meals: [] });
+        toBuy.get(key).meals.push(label);
+      }
+    }
+  }
+
+  return {
+    used: pantry
+      .filter(p => used.has(p.item))
+      .map(p => ({ item: p.item, expiresOn: p.expiresOn, meals: used.get(p.item) })),
+    unusedExpiring: pantry
+      .filter(p => !used.has(p.item) && p.status === "expiring")
+      .map(({ item, expiresOn, daysLeft }) => ({ item, expiresOn, daysLeft })),
+    toBuy: [...toBuy.values()].sort((a, b) => a.item.localeCompare(b.item)),
+  };
+}
+
+// --------------- Route registration ----------------
+export function registerPantryRoutes(app) {
+  const auth = requireAuth();
+
+  // GET /api/pantry → items, soonest-to-expire first
+  app.get("/api/pantry", auth, async (req, res) => {
+    try {
+      res.json({ success: true, items: await loadPantry(req.uid) });
+    } catch (err) {
+      console.error("❌ Failed to fetch pantry:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch pantry." });
+    }
+  });
+
+  // POST /api/pantry { item, quantity?, unit?, expiresOn?, notes? } or { items: [...] } after a shop
+  app.post("/api/pantry", auth, async (req, res) => {
+    const bulk = Array.isArray(req.body?.items);
+    const inputs = bulk ? req.body.items : [req.body];
+
+    if (!inputs.length || inputs.length > MAX_BATCH) {
+      return res.status(400).json({ success: false, error: `Send between 1 and ${MAX_BATCH} items.` });
+    }
+
+    const items = [];
+    for (const [i, input] of inputs.entries()) {
+      const { data, error } = readPantryInput(input);
+      if (error) {
+        return res.status(400).json({ success: false, error: bulk ? `items[${i}]: ${error}` : error });
+      }
+      items.push(data);
+    }
+
+    try {
+      const existing = await pantryRef(req.uid).count().get();
+      if (existing.data().count + items.length > MAX_ITEMS) {
+        return res.status(400).json({ success: false, error: `The pantry can hold at most ${MAX_ITEMS} items.`, code: "pantry_full" });
+      }
+
+      const batch = db.batch();
+      const refs = items.map(data => {
+        const ref = pantryRef(req.uid).doc();
+        batch.set(ref, { ...data, notes: data.notes || "", createdAt: FieldValue.serverTimestamp(), updatedAt: FieldValue.serverTimestamp() });
+        return ref;
+      });
+      await batch.commit();
+
+      const today = todayIso();
+      const saved = (await Promise.all(refs.map(ref => ref.get()))).map(doc => serializePantryItem(doc, today));
+      res.status(201).json(bulk ? { success: true, items: saved } : { success: true, item: saved[0] });
+    } catch (err) {
+      console.error("❌ Failed to add pantry items:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to add pantry items." });
+    }
+  });
+
+  // PATCH /api/pantry/:itemId — e.g. { quantity: 0.5 } after cooking
+  app.patch("/api/pantry/:itemId", auth, async (req, res) => {
+    const { data, error } = readPantryInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    try {
+      const ref = pantryRef(req.uid).doc(req.params.itemId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Pantry item not found." });
+      }
+      await ref.update({ ...data, updatedAt: FieldValue.serverTimestamp() });
+      res.json({ success: true, item: serializePantryItem(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to update pantry item:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to update pantry item." });
+    }
+  });
+
+  app.delete("/api/pantry/:itemId", auth, async (req, res) => {
+    try {
+      const ref = pantryRef(req.uid).doc(req.params.itemId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Pantry item not found." });
+      }
+      await ref.delete();
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Failed to delete pantry item:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to delete pantry item." });
+    }
+  });
+}
@@ -0,0 +1,354 @@
+// plan-jobs.js
+import { FieldValue, Timestamp } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+import { generatePlan } from "./planner.js";
+import { savePlanResult } from "./plans.js";
+import { refundQuota } from "./quotas.js";
+
+/**
+ * ⏳ Async week-plan jobs — planJobs/{jobId}
+ *   { uid, kind, request: { profile, payload, planId }, status: queued|running|succeeded|failed,
+ *     progress: { daysTotal, daysDone, days: { iso: [meal] } }, result, error,
+ *     quota (what the 202 charged — refunded if the job ends up failed),
+ *     attempts, lockedUntil, createdAt, startedAt, finishedAt, updatedAt }
+ *
+ * /generate-week-plan { async: true } only writes the job and answers 202; the worker below
+ * runs it and writes each day as it streams in. Clients poll GET /api/plan-jobs/:jobId or
+ * follow GET /api/plan-jobs/:jobId/events (SSE), so a dropped connection doesn't lose the plan.
+ * (Firestore index: planJobs status ASC + createdAt ASC, status ASC + lockedUntil ASC)
+ */
+
+const JOBS_COLLECTION = "planJobs";
+const POLL_INTERVAL_MS = Number(process.env.PLAN_JOB_POLL_MS) || 5 * 1000;
+const CONCURRENCY = Number(process.env.PLAN_JOB_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = 2;
+const LOCK_MS = 10 * 60 * 1000;
+const LOCK_RENEW_MS = LOCK_MS / 3; // a live run keeps pushing lockedUntil out, so only dead ones go stale
+const SSE_HEARTBEAT_MS = 15 * 1000;
+
+let kick = null; // set by startPlanJobWorker so new jobs don't wait for the next poll
+
+function jobsRef() {
+  return db.collection(JOBS_COLLECTION);
+}
+
+export async function enqueuePlanJob({ uid, kind = "week", profile, payload, planId = null, quota = null }) {
+  const ref = jobsRef().doc();
+  await ref.set({
+    uid,
+    kind,
+    request: { profile, payload, planId },
+    status: "queued",
+    progress: { daysTotal: Number(payload?.numDays) || null, daysDone: 0, days: {} },
+    result: null,
+    error: null,
+    quota,
+    attempts: 0,
+    lockedUntil: null,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  kick?.();
+  return ref.id;
+}
+
+function lockExpiry() {
+  return Timestamp.fromMillis(Date.now() + LOCK_MS);
+}
+
+// queued → running, only if nobody else grabbed it first
+async function claimJob(ref) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().status !== "queued") return null;
+    const attempts = (snap.data().attempts || 0) + 1;
+    tx.update(ref, {
+      status: "running",
+      attempts,
+      lockedUntil: lockExpiry(),
+      startedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { ...snap.data(), attempts };
+  });
+}
+
+function ownsRun(data, job) {
+  return !!data && data.status === "running" && data.attempts === job.attempts;
+}
+
+function refundJobQuota(ref, job) {
+  if (!job.quota) return;
+  refundQuota(job.quota).catch(err => console.warn("⚠️ [PlanJobs] quota refund failed:", ref.id, err.message));
+}
+
+// Final status write, only while this run still owns the job (a stale-lock sweep may have requeued it)
+async function finishJob(ref, job, fields) {
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!ownsRun(snap.data(), job)) return false;
+    tx.update(ref, { ...fields, lockedUntil: null, updatedAt: FieldValue.serverTimestamp() });
+    return true;
+  });
+}
+
+async function runJob(ref, job) {
+  const { profile, payload, planId } = job.request;
+  const days = {};
+
+  const renewLock = () => ref.update({ lockedUntil: lockExpiry() })
+    .catch(err => console.warn("⚠️ [PlanJobs] lock renewal failed:", ref.id, err.message));
+  const renewTimer = setInterval(renewLock, LOCK_RENEW_MS);
+
+  try {
+    const result = await generatePlan({
+      kind: job.kind,
+      uid: job.uid,
+      profile,
+      payload,
+      onDay: (iso, meals) => {
+        days[iso] = meals;
+        ref.update({
+          "progress.days": days,
+          "progress.daysDone": Object.keys(days).length,
+          lockedUntil: lockExpiry(),
+          updatedAt: FieldValue.serverTimestamp(),
+        }).catch(err => console.warn("⚠️ [PlanJobs] progress write failed:", ref.id, err.message));
+      }
+    });
+
+    // Lost the job while generating → another run owns it now; saving too would duplicate the revision
+    if (!ownsRun((await ref.get()).data(), job)) {
+      console.warn(`⚠️ [PlanJobs] ${ref.id} attempt ${job.attempts} lost its lock — discarding result`);
+      return;
+    }
+
+    const saved = await savePlanResult(job.uid, { kind: job.kind, planId, plan: result.plan, payload, batch: result.batch });
+
+    const finished = await finishJob(ref, job, {
+      status: "succeeded",
+      result: { ...result, ...saved },
+      "progress.days": result.plan,
+      "progress.daysDone": Object.keys(result.plan).length,
+      error: null,
+      finishedAt: FieldValue.serverTimestamp(),
+    });
+    if (finished) console.log(`✅ [PlanJobs] ${ref.id} succeeded (attempt ${job.attempts})`);
+  } catch (err) {
+    const retryable = err?.retryable === true;
+    const failed = !retryable || job.attempts >= MAX_ATTEMPTS;
+    const finished = await finishJob(ref, job, {
+      status: failed ? "failed" : "queued",
+      error: {
+        code: err?.code || "server_error",
+        message: err?.status ? err.message : "Failed to generate meal plan.",
+        retryable,
+      },
+      ...(failed ? { finishedAt: FieldValue.serverTimestamp() } : {}),
+    });
+    if (!finished) return;
+    if (failed) refundJobQuota(ref, job);
+    const log = failed ? console.error : console.warn;
+    log(`[PlanJobs] ${ref.id} ${failed ? "FAILED" : "requeued"} (attempt ${job.attempts}):`, err?.message);
+  } finally {
+    clearInterval(renewTimer);
+  }
+}
+
+// Jobs stuck in "running" past their lock (crash, deploy) go back to the queue — or fail when out of attempts
+async function releaseStaleLocks() {
+  const stale = await jobsRef()
+    .where("status", "==", "running")
+    .where("lockedUntil", "<=", Timestamp.now())
+    .limit(10)
+    .get();
+
+  for (const doc of stale.docs) {
+    const outOfAttempts = (doc.data().attempts || 0) >= MAX_ATTEMPTS;
+    await doc.ref.update({
+      status: outOfAttempts ? "failed" : "queued",
+      lockedUntil: null,
+      ...(outOfAttempts
+        ? {
+            error: { code: "job_interrupted", message: "Plan generation was interrupted. Please try again.", retryable: true },
+            finishedAt: FieldValue.serverTimestamp(),
+          }
+        : {}),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    if (outOfAttempts) refundJobQuota(doc.ref, doc.data());
+  }
+}
+
+export async function processPlanJobsOnce() {
+  await releaseStaleLocks();
+
+  const queued = await jobsRef()
+    .where("status", "==", "queued")
+    .orderBy("createdAt", "asc")
+    .limit(CONCURRENCY)
+    .get();
+
+  await Promise.all(queued.docs.map(async (doc) => {
+    const job = await claimJob(doc.ref);
+    if (job) await runJob(doc.ref, job);
+  }));
+
+  return queued.size;
+}
+
+export function startPlanJobWorker() {
+  let running = false;
+  let again = false;
+
+  const tick = async () => {
+    if (running) {
+      again = true; // picked up as soon as the current batch finishes
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        await processPlanJobsOnce();
+      } while (again);
+    } catch (err) {
+      console.error("[PlanJobs] Worker tick failed:", err.message || err);
+    } finally {
+      running = false;
+    }
+  };
+
+  kick = tick;
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  tick();
+
+  console.log(`⏳ Plan job worker polling every ${POLL_INTERVAL_MS / 1000}s (concurrency ${CONCURRENCY})`);
+  return () => {
+    clearInterval(timer);
+    kick = null;
+  };
+}
+
+function serializeJob(doc) {
+  const data = doc.data() || {};
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: doc.id,
+    kind: data.kind,
+    status: data.status,
+    progress: data.progress || null,
+    result: data.result || null,
+    error: data.error || null,
+    attempts: data.attempts || 0,
+    createdAt: iso(data.createdAt),
+    startedAt: iso(data.startedAt),
+    finishedAt: iso(data.finishedAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+// Owner-only: someone else's job id looks the same as a missing one
+async function loadOwnJob(uid, jobId) {
+  const snap = await jobsRef().doc(jobId).get();
+  return snap.exists && snap.data().uid === uid ? snap : null;
+}
+
+// --------------- Route registration ----------------
+export function registerPlanJobRoutes(app) {
+  const auth = requireAuth();
+
+  // GET /api/plan-jobs/:jobId → status, per-day progress, and the result once succeeded
+  app.get("/api/plan-jobs/:jobId", auth, async (req, res) => {
+    try {
+      const snap = await loadOwnJob(req.uid, req.params.jobId);
+      if (!snap) {
+        return res.status(404).json({ success: false, error: "Job not found." });
+      }
+      res.json({ success: true, job: serializeJob(snap) });
+    } catch (err) {
+      console.error("❌ Failed to fetch plan job:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch job." });
+    }
+  });
+
+  /**
+   * 📡 GET /api/plan-jobs/:jobId/events (Server-Sent Events)
+   *   event: status  data: { "status": "running", "daysDone": 2, "daysTotal": 7 }
+   *   event: day     data: { "date": "2025-07-29", "meals": [...], "preliminary": true }
+   *   event: done    data: { "result": { plan, macros, favorites, planId, revision } }
+   *   event: error   data: { "error": "...", "code": "...", "retryable": true }
+   * Streamed days are safety-flagged but preliminary: a day is sent again whenever it changes
+   * (repair retry, final pass), and right before `done` every day whose final version differs
+   * goes out with preliminary: false. Reconnecting replays the days finished so far.
+   */
+  app.get("/api/plan-jobs/:jobId/events", auth, async (req, res) => {
+    let snap;
+    try {
+      snap = await loadOwnJob(req.uid, req.params.jobId);
+    } catch (err) {
+      console.error("❌ Failed to fetch plan job:", err.message || err);
+      return res.status(500).json({ success: false, error: "Failed to fetch job." });
+    }
+    if (!snap) {
+      return res.status(404).json({ success: false, error: "Job not found." });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const sentDays = new Map(); // date → JSON of the meals last sent
+    let lastStatus = null;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+
+    const finish = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      if (!res.writableEnded) res.end();
+    };
+
+    unsubscribe = snap.ref.onSnapshot((doc) => {
+      const job = doc.data();
+      if (!job) return finish();
+
+      const progress = job.progress || {};
+      if (job.status !== lastStatus || job.status === "running") {
+        sendEvent("status", { status: job.status, daysDone: progress.daysDone || 0, daysTotal: progress.daysTotal || null });
+        lastStatus = job.status;
+      }
+
+      const preliminary = job.status !== "succeeded";
+      for (const [date, meals] of Object.entries(progress.days || {}).sort(([a], [b]) => a.localeCompare(b))) {
+        const json = JSON.stringify(meals);
+        if (sentDays.get(date) === json) continue;
+        sentDays.set(date, json);
+        sendEvent("day", { date, meals, preliminary });
+      }
+
+      if (job.status === "succeeded") {
+        sendEvent("done", { success: true, result: job.result });
+        finish();
+      } else if (job.status === "failed") {
+        sendEvent("error", { success: false, error: job.error?.message, code: job.error?.code, retryable: !!job.error?.retryable });
+        finish();
+      }
+    }, (err) => {
+      console.error("❌ Plan job listener failed:", req.params.jobId, err.message || err);
+      sendEvent("error", { success: false, error: "Lost track of the job — poll its status instead.", code: "server_error", retryable: true });
+      finish();
+    });
+
+    res.on("close", finish);
+  });
+}
@@ -1,6 +1,148 @@
 // planner-prompts.js
+import { unitsInstruction } from "./units.js";
+import { normalizeProfile } from "./profile-schema.js";
+import { formatPantryList } from "./prompt.js";
+
+// Daily macro targets from the Flavor Profile, phrased for the planner prompts
+function formatMacroTargets(rawProfile = {}) {
+  const profile = normalizeProfile(rawProfile);
+  const parts = [
+    profile.calories && `${profile.calories} calories`,
+    profile.protein && `${profile.protein}g protein`,
+    profile.carbs && `${profile.carbs}g carbs`,
+    profile.fat && `${profile.fat}g fat`,
+  ].filter(Boolean);
+
+  return parts.length
+    ? `\n\n📊 Daily macro targets: ${parts.join(", ")}. Each day's meals should add up close to these targets.`
+    : "";
+}
+
+// Real saved recipes the planner may remix — ids come back as `remixOf`
+function formatFavorites(favorites = []) {
+  if (!favorites.length) return "";
+
+  const lines = favorites.map(f =>
+    `- id: ${f.id} | ${f.title}${f.summary ? ` — ${f.summary}` : ""}${f.tags?.length ? ` (tags: ${f.tags.join(", ")})` : ""}`
+  );
+
+  return `
+
+⭐ Their saved favorites (remix only if it genuinely fits — keep the soul of the dish, adapt it to this plan):
+${lines.join("\n")}
+If a meal is a remix of one of these, add "remixOf": "<id>" to that meal object. Only use ids from this list; omit remixOf otherwise.`;
+}
+
+const MACRO_INSTRUCTIONS = `- Estimated **macros** for one portion — calories (kcal) and protein, carbs, fat (grams) as plain numbers. Be realistic; these are totalled per day against the client's targets.`;
+
+// Household mode: everyone eats the same meals, portions and small tweaks differ per person
+function formatHousehold(household) {
+  if (!household?.length) return "";
+
+  const lines = household.map(member => {
+    const p = member.profile || {};
+    const targets = [
+      p.calories && `${p.calories} kcal`,
+      p.protein && `${p.protein}g protein`,
+      p.carbs && `${p.carbs}g carbs`,
+      p.fat && `${p.fat}g fat`,
+    ].filter(Boolean);
+    const details = [
+      `usual portion ${member.portion}×`,
+      p.fitnessGoal && `goal: ${p.fitnessGoal}`,
+      targets.length && `daily targets: ${targets.join(", ")}`,
+      p.restrictions?.length && `CANNOT eat: ${p.restrictions.join(", ")}`,
+      p.dislikes?.length && `dislikes: ${p.dislikes.join(", ")}`,
+      p.likes?.length && `likes: ${p.likes.join(", ")}`,
+      member.notes && `notes: ${member.notes}`,
+    ].filter(Boolean);
+    return `- ${member.name}: ${details.join("; ")}`;
+  });
+
+  return `
+
+🏠 This is a household plan — every meal is cooked once and shared by:
+${lines.join("\n")}
+
+Every meal must be safe for EVERY member: never use anything any member cannot eat, and avoid anything any member dislikes.
+Adjust for each person with portion size and small add-ons or holds (extra rice for the athlete, chili on the side for the kid) — not separate dishes.
+Meal macros are for ONE standard portion (1×). Add "portions" to every meal: one entry per member with their "portion" multiplier for that meal (sized toward their daily targets) and an optional short "note" for their tweak, e.g.
+"portions": [{ "member": "${household[0].name}", "portion": 1 }, { "member": "${household[household.length - 1].name}", "portion": 0.75, "note": "chili flakes on the side" }]`;
+}
+
+// "Use what I have" mode — items come soonest-to-expire first
+function formatPantry(pantry) {
+  const list = formatPantryList(pantry || []);
+  if (!list) return "";
+
+  return `
+
+🥫 Use what they have — build the plan around what's already in their kitchen:
+${list}
+Favor these over anything they'd need to buy, and put the ⚠️ use-soon items in the earliest meals. Keep extra purchases short.
+Add to every meal "pantryItems": the pantry ingredients it uses (names as listed above), and "toBuy": any other ingredients they'd need to buy (skip basics like salt, pepper and cooking oil). Use [] when there are none.`;
+}
+
+// Batch cooking mode (batch-cooking.js) — replaces the plain ISO-keyed response format
+function formatBatchCooking({ startDate, prepDays }) {
+  const sessions = Array.isArray(prepDays) && prepDays.length
+    ? `Schedule the prep sessions on: ${prepDays.join(", ")}.`
+    : `Plan 1–2 prep sessions: the first on ${startDate} and, for longer plans, a second mid-week so nothing is eaten more than 4 days after it's cooked.`;
+
+  return `
+
+🍱 Batch cooking mode — they want to cook twice and eat all week.
+Design a few base components cooked ahead in prep sessions — at least one protein, one grain and one sauce (add a veg or other component if it helps) — then remix them across the week so each base shows up on at least 2 days in genuinely different dishes (new sauce pairings, cuisines, textures).
+${sessions}
+- **components**: id (short kebab-case), name, kind (protein | grain | sauce | veg | other), yield (how much to make), storage (how to store it) and keepsDays (how many days it keeps in the fridge)
+- **prep**: one object per session with date, title and steps in the order to do them — a consolidated game plan for the batch session (what to start first, what cooks while you prep the next thing). Each step has text, minutes and the component ids it works on.
+- **days**: the plan, ISO-keyed, with the same meal fields as above plus "components" (ids the meal uses). When a meal is simply leftovers of an earlier meal, add "leftover": { "date", "mealType", "note" } pointing at that meal (e.g. Tuesday lunch uses Monday's roast chicken dinner).
+Components must be cooked in a session on or before the first day they're eaten, and nothing should be eaten longer after cooking than its keepsDays.
+
+Respond with ONLY valid JSON like:
+{
+  "components": [
+    { "id": "lemon-chicken", "name": "Slow-Roasted Lemon Chicken", "kind": "protein", "yield": "3 lb, shredded", "storage": "airtight container, fridge", "keepsDays": 4 },
+    { "id": "herb-rice", "name": "Herby Jasmine Rice", "kind": "grain", "yield": "6 cups cooked", "keepsDays": 4 },
+    { "id": "green-sauce", "name": "Cilantro-Lime Green Sauce", "kind": "sauce", "yield": "2 cups", "keepsDays": 5 }
+  ],
+  "prep": [
+    {
+      "date": "2025-07-28",
+      "title": "Kickoff batch session",
+      "steps": [
+        { "text": "Season and roast the chicken; it cooks while you do everything else.", "minutes": 60, "components": ["lemon-chicken"] },
+        { "text": "Rinse and cook the rice, then fold in the herbs once it's fluffed.", "minutes": 25, "components": ["herb-rice"] }
+      ]
+    }
+  ],
+  "days": {
+    "2025-07-28": [
+      {
+        "mealType": "Dinner",
+        "title": "Slow-Roasted Lemon Chicken Plates",
+        "description": "...",
+        "tags": ["high protein", "meal prep"],
+        "macros": { "calories": 560, "protein": 45, "carbs": 52, "fat": 16 },
+        "components": ["lemon-chicken", "herb-rice", "green-sauce"]
+      }
+    ],
+    "2025-07-29": [
+      {
+        "mealType": "Lunch",
+        "title": "Lemon Chicken Rice Bowl",
+        "description": "...",
+        "tags": ["high protein", "leftovers"],
+        "macros": { "calories": 520, "protein": 42, "carbs": 50, "fat": 14 },
+        "components": ["lemon-chicken", "herb-rice"],
+        "leftover": { "date": "2025-07-28", "mealType": "Dinner", "note": "Monday's chicken plates, packed over rice" }
+      }
+    ]
+  }
+}`;
+}
 
-export function buildWeeklyPlannerPrompt(profile, payload) {
+export function buildWeeklyPlannerPrompt(profile, payload, { favorites = [], household = null, pantry = null } = {}) {
   const {
     startDate,
     numDays,
@@ -9,7 +151,8 @@ export function buildWeeklyPlannerPrompt(profile, payload) {
     cravings,
     tags,
     specialPlans,
-    useFavorites
+    useFavorites,
+    batchCook
   } = payload;
 
   const formattedDate = new Date(startDate).toLocaleDateString(undefined, {
@@ -26,6 +169,8 @@ Use their Flavor Profile as a base layer for personalization—but this is a spe
 
 ⚠️ Do NOT include low-protein meals, random snacks, or flavorless fitness foods. Every dish should support their goals while making them excited to eat.`;
 
+  prompt += household ? formatHousehold(household) : formatMacroTargets(profile);
+
   prompt += `
 
 Client's focus for this date range:
@@ -49,16 +194,23 @@ Inputs to reflect in this plan:`;
     prompt += `\n- Context or constraints: ${specialPlans}`;
   }
 
+  if (useFavorites && favorites.length) {
+    prompt += `\n- Optionally remix 1–2 of their saved favorite meals (listed below)`;
+  }
+
   if (useFavorites) {
-    prompt += `\n- Optionally remix 1–2 of their saved favorite meals`;
+    prompt += formatFavorites(favorites);
   }
 
+  prompt += formatPantry(pantry);
+
   prompt += `
 
 For each meal, return:
 - A short, specific **title** — like something you'd see on a menu (“Zesty Harissa Chicken Bowl” or “Lemon Ricotta Pancakes with Berries”)
 - A flavorful, crave-worthy **description** — 1–2 sentences capturing the vibe, flavor profile, key ingredients, or inspiration (just like a menu blurb)
 - A thoughtful list of **tags** — 4–6 useful descriptors based on flavor, nutrition, prep style, or cuisine. These help guide cooking instructions and enable smart filtering when saving to the user's recipe notebook.
+${MACRO_INSTRUCTIONS}
 
 You can use tags like:
 - **Special Instructions**: "meal prep friendly", "make ahead", "dinner party", "date night", "beginner friendly", "fancy"
@@ -74,8 +226,16 @@ Example meal object:
   "mealType": "Dinner",
   "title": "Spicy Harissa Chicken Bowl",
   "description": "Tender grilled chicken coated in smoky harissa, served over couscous with roasted vegetables and a citrusy yogurt drizzle.",
-  "tags": ["high protein", "meal prep", "north african inspired", "bold flavors", "quick and simple"]
-}
+  "tags": ["high protein", "meal prep", "north african inspired", "bold flavors", "quick and simple"],
+  "macros": { "calories": 560, "protein": 45, "carbs": 52, "fat": 16 }
+}`;
+
+  if (batchCook) {
+    prompt += formatBatchCooking(payload);
+    return prompt;
+  }
+
+  prompt += `
 
 Respond with ONLY valid JSON like:
 {
@@ -84,7 +244,8 @@ Respond with ONLY valid JSON like:
       "mealType": "Breakfast",
       "title": "Spicy Harissa Chicken Bowl",
       "description": "Tender grilled chicken coated in harissa over couscous with roasted vegetables and a citrusy yogurt sauce.",
-      "tags": ["high protein", "meal prep", "north african inspired", "bold flavors"]
+      "tags": ["high protein", "meal prep", "north african inspired", "bold flavors"],
+      "macros": { "calories": 560, "protein": 45, "carbs": 52, "fat": 16 }
     },
     ...
   ]
@@ -93,7 +254,7 @@ Respond with ONLY valid JSON like:
   return prompt;
 }
 
-export function buildDayPlannerPrompt(profile, payload) {
+export function buildDayPlannerPrompt(profile, payload, { favorites = [], household = null, pantry = null } = {}) {
   const {
     intentNotes,
     meals,
@@ -111,6 +272,8 @@ Use their Flavor Profile as a base layer for personalization—but this is a spe
 
 ⚠️ Do NOT include low-protein meals, random snacks, or flavorless fitness foods. Every dish should support their goals while making them excited to eat. You're designing a short-term game plan with long-term intent for food lovers that want to be fit`;
 
+  prompt += household ? formatHousehold(household) : formatMacroTargets(profile);
+
   prompt += `
 
 Client's goal for today:
@@ -134,16 +297,23 @@ Inputs to reflect in today's plan:`;
     prompt += `\n- Day context or events: ${specialPlans}`;
   }
 
+  if (useFavorites && favorites.length) {
+    prompt += `\n- Optionally remix a favorite meal if it fits (listed below)`;
+  }
+
   if (useFavorites) {
-    prompt += `\n- Optionally remix a favorite meal if it fits`;
+    prompt += formatFavorites(favorites);
   }
 
+  prompt += formatPantry(pantry);
+
   prompt += `
 
 For each meal, return:
 - A short, specific **title** — like something you'd see on a menu (“Zesty Harissa Chicken Bowl” or “Lemon Ricotta Pancakes with Berries”)
 - A flavorful, crave-worthy **description** — 1–2 sentences capturing the vibe, flavor profile, key ingredients, or inspiration (just like a menu blurb)
 - A thoughtful list of **tags** — 4–6 useful descriptors based on flavor, nutrition, prep style, or cuisine. These help guide cooking instructions and enable smart filtering when saving to the user's recipe notebook.
+${MACRO_INSTRUCTIONS}
 
 You can use tags like:
 - **Special Instructions**: "meal prep friendly", "make ahead", "dinner party", "date night", "beginner friendly", "fancy"
@@ -159,7 +329,8 @@ Example meal object:
   "mealType": "Dinner",
   "title": "Spicy Harissa Chicken Bowl",
   "description": "Tender grilled chicken coated in smoky harissa, served over couscous with roasted vegetables and a citrusy yogurt drizzle.",
-  "tags": ["high protein", "meal prep", "north african inspired", "bold flavors", "quick and simple"]
+  "tags": ["high protein", "meal prep", "north african inspired", "bold flavors", "quick and simple"],
+  "macros": { "calories": 560, "protein": 45, "carbs": 52, "fat": 16 }
 }
 
 Respond with ONLY valid JSON like:
@@ -168,15 +339,92 @@ Respond with ONLY valid JSON like:
     "mealType": "Lunch",
     "title": "...",
     "description": "...",
-    "tags": ["...", "..."]
+    "tags": ["...", "..."],
+    "macros": { "calories": 0, "protein": 0, "carbs": 0, "fat": 0 }
   },
   ...
 ]`;
 
   return prompt;
 }
-export function buildInstructionsPrompt(title, flavorProfile = {}, tags = [], plannerInput = {}) {
-  const profileJSON = JSON.stringify(flavorProfile, null, 2);
+
+// Everything else in the plan, one line per meal, so the swap can fit around it
+function formatPlanOutline(plan = {}, skip) {
+  return Object.entries(plan)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([iso, meals]) => {
+      const rest = (meals || []).filter(m => m !== skip);
+      return rest.length
+        ? `${iso}: ${rest.map(m => `${m.mealType} — ${m.title}`).join("; ")}`
+        : null;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+function formatCounts(counts = {}) {
+  const entries = Object.entries(counts).sort(([, a], [, b]) => b - a);
+  return entries.length ? entries.map(([name, n]) => `${name} (${n}×)`).join(", ") : "none detected";
+}
+
+export function buildMealSwapPrompt(profile, { plan, date, mealType, original, reason, variety, payload = {}, household = null, pantry = null }) {
+  let prompt = `You're acting as a private chef and fitness-minded culinary coach for a client following a full-flavor approach to fitness.
+
+This client already has a meal plan and wants to swap out ONE meal: the ${mealType} on ${date}${original ? `, currently “${original.title}”` : ""}. Suggest a single replacement that fits the rest of their plan and still gravitates toward the Protein and Plants Framework: lean protein (~25–33% of the plate) and plants (~50% of the plate) with chef-level flavor.
+
+⚠️ Do NOT include low-protein meals, random snacks, or flavorless fitness foods.`;
+
+  if (reason) {
+    prompt += `\n\nWhy they want a swap: ${reason}\nTreat this as a hard requirement for the replacement.`;
+  }
+
+  if (original?.macros) {
+    const m = original.macros;
+    prompt += `\n\n📊 The meal being replaced was about ${m.calories} calories, ${m.protein}g protein, ${m.carbs}g carbs, ${m.fat}g fat. Keep the replacement in the same ballpark so the day still hits its targets.`;
+  }
+
+  prompt += household ? formatHousehold(household) : formatMacroTargets(profile);
+
+  prompt += `
+
+The rest of the plan:
+${formatPlanOutline(plan, original) || "(no other meals)"}
+
+Proteins already planned: ${formatCounts(variety?.proteins)}
+Cuisines already planned: ${formatCounts(variety?.cuisines)}
+Choose a protein and a cuisine that are NOT already planned — especially not on the same or neighbouring days.`;
+
+  if (payload.intentNotes) {
+    prompt += `\n\nClient's focus for this plan: ${payload.intentNotes}`;
+  }
+
+  prompt += formatPantry(pantry);
+
+  prompt += `
+
+Return the replacement meal with:
+- A short, specific **title** — like something you'd see on a menu
+- A flavorful, crave-worthy **description** — 1–2 sentences (just like a menu blurb)
+- A thoughtful list of **tags** — 4–6 useful descriptors based on flavor, nutrition, prep style, or cuisine
+${MACRO_INSTRUCTIONS}
+
+Respond with ONLY one valid JSON meal object like:
+{
+  "mealType": "${mealType}",
+  "title": "...",
+  "description": "...",
+  "tags": ["...", "..."],
+  "macros": { "calories": 0, "protein": 0, "carbs": 0, "fat": 0 }
+}`;
+
+  return prompt;
+}
+
+// Shared coach framing + meal details for the instructions prompts (markdown and structured)
+function buildInstructionsContext(title, rawProfile = {}, tags = [], plannerInput = {}, task) {
+  const flavorProfile = normalizeProfile(rawProfile);
+  const { version, ...profileFields } = flavorProfile;
+  const profileJSON = JSON.stringify(profileFields, null, 2);
   const payloadJSON = JSON.stringify(plannerInput, null, 2);
 
   return `You're acting as a private chef and flavor-first fitness coach for a client pursuing sustainable fitness — without sacrificing flavor, joy, or flexibility.
@@ -207,16 +455,20 @@ You specialize in:
 
 ---
 
-Now write markdown-formatted instructions for this planned meal.
+${task}
 
 Meal Title: ${title}  
 Tags: ${tags.join(", ") || "None"}
-
+${unitsInstruction(flavorProfile) ? `${unitsInstruction(flavorProfile)}\n` : ""}
 Client's Flavor Profile (JSON):
 ${profileJSON}
 
 Original Planner Input (JSON):
-${payloadJSON}
+${payloadJSON}`;
+}
+
+export function buildInstructionsPrompt(title, flavorProfile = {}, tags = [], plannerInput = {}) {
+  return `${buildInstructionsContext(title, flavorProfile, tags, plannerInput, "Now write markdown-formatted instructions for this planned meal.")}
 
 Respond ONLY with markdown using this format:
 
@@ -233,3 +485,35 @@ Respond ONLY with markdown using this format:
 - These can include flavor combos, ingredient swaps, shortcuts, cultural twists, plating ideas, or anything that builds upon the base recipe
 - Keep them inspiring and coach-style — think “here’s how to level this up”`;
 }
+
+// Same recipe as buildInstructionsPrompt, as JSON the app can scale, check off and shop from
+export function buildStructuredInstructionsPrompt(title, flavorProfile = {}, tags = [], plannerInput = {}) {
+  return `${buildInstructionsContext(title, flavorProfile, tags, plannerInput, "Now write the full recipe for this planned meal as structured JSON.")}
+
+Recipe rules:
+- **servings**: how many portions the recipe makes (usually 1–2 unless the planner input says otherwise)
+- **prepMinutes** / **cookMinutes**: realistic hands-on prep and cooking time
+- **ingredients**: grocery-list style, one object per ingredient
+  - "quantity" is a plain number (0.5, not "1/2"); use null for "to taste"
+  - "unit" is a standard kitchen unit (cup, tbsp, tsp, oz, lb, g, ml, clove, can) or "" for countable items like "2 eggs"
+  - "item" is just the ingredient name; prep goes in "note" (e.g. "minced", "cut into 1-inch cubes")
+- **steps**: clear steps in cooking order that prioritize flavor-building, technique and real-world practicality — confident, friendly coach language. Add "timerMinutes" only when a step has a real wait (searing, simmering, roasting, resting).
+- **upgrades**: 2–4 Ben’s Chef’d Up Upgrades — flavor combos, swaps, shortcuts, cultural twists or plating ideas that level up the dish
+
+Respond with ONLY valid JSON like:
+{
+  "servings": 2,
+  "prepMinutes": 10,
+  "cookMinutes": 15,
+  "ingredients": [
+    { "quantity": 12, "unit": "oz", "item": "chicken breast", "note": "sliced thin" },
+    { "quantity": 2, "unit": "clove", "item": "garlic", "note": "minced" },
+    { "quantity": null, "unit": "", "item": "salt and pepper", "note": "to taste" }
+  ],
+  "steps": [
+    { "text": "Pat the chicken dry and season it well with salt and pepper." },
+    { "text": "Sear in a ripping-hot pan until deeply golden.", "timerMinutes": 4 }
+  ],
+  "upgrades": ["Finish with a spoon of chili crisp for heat and crunch."]
+}`;
+}
@@ -0,0 +1,310 @@
+// planner.js
+import * as llm from "./llm.js";
+import { generateJson, validateSchema } from "./ai-json.js";
+import { buildSystemPrompt } from "./prompt.js";
+import { buildWeeklyPlannerPrompt, buildDayPlannerPrompt, buildMealSwapPrompt } from "./planner-prompts.js";
+import { weekPlanSchema, dayPlanSchema, mealSchema, batchPlanSchema } from "./schemas.js";
+import { reviewPlanMacros } from "./macros.js";
+import { loadRelevantFavorites, checkRemixIds, annotateRemixes } from "./favorites.js";
+import { varietySummary, checkSwapVariety } from "./meal-variety.js";
+import { buildSafetyRules, checkMealsSafety, flagMeals } from "./dietary-safety.js";
+import { ApiError } from "./errors.js";
+import { checkBatchPlan, annotateBatchPlan } from "./batch-cooking.js";
+import { loadPantry, annotatePantryMeal, summarizePantryUse } from "./pantry.js";
+import { loadHousehold, buildHouseholdSafetyRules, applyHouseholdPortions, reviewHouseholdMacros, SELF_MEMBER_ID } from "./household.js";
+
+/**
+ * 📅 Meal plan generation shared by /generate-week-plan and /generate-day-plan.
+ * Returns { plan, macros, favorites } where plan is ISO-date keyed either way.
+ * swapMeal() replaces one meal inside an existing plan (/generate-meal-swap).
+ *
+ * onDay(iso, meals) streams the week and reports each day as soon as its array closes —
+ * used by async plan jobs for progress. Those meals are already safety-flagged but still
+ * preliminary (a repair retry can rewrite them); the returned plan (validated,
+ * remix-annotated, safety-flagged, macro-reviewed) is the one to keep.
+ *
+ * payload.household (signed-in) plans shared meals for the whole household (household.js):
+ * rules from every member, per-member `portions` on each meal, and `household.macros` per member.
+ * payload.usePantry (signed-in) cooks from the pantry (pantry.js): meals carry pantryItems/toBuy
+ * and the result gets a `pantry` report (used, unusedExpiring, toBuy).
+ * payload.batchCook (week only) plans around prepped base components (batch-cooking.js): meals
+ * carry `components`/`leftover` and the result gets `batch` ({ components, prep }).
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+function todayIso() {
+  return new Date().toISOString().split("T")[0];
+}
+
+async function loadFavorites(uid, payload) {
+  if (!payload.useFavorites || !uid) return [];
+  try {
+    return await loadRelevantFavorites(uid, payload);
+  } catch (err) {
+    console.warn("⚠️ Failed to load favorites for planner:", uid, err.message);
+    return [];
+  }
+}
+
+// Index of the bracket closing the one at `start`, or -1 if the text isn't there yet
+function closingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === "[" || ch === "{") depth++;
+    else if (ch === "]" || ch === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// '"2025-07-29": [ ...complete... ]' entries in a partially streamed week plan
+function closedDays(text) {
+  const days = {};
+  const re = /"(\d{4}-\d{2}-\d{2})"\s*:\s*\[/g;
+  let match;
+  while ((match = re.exec(text))) {
+    const start = match.index + match[0].length - 1;
+    const end = closingBracket(text, start);
+    if (end === -1) break;
+    try {
+      days[match[1]] = JSON.parse(text.slice(start, end + 1));
+    } catch {
+      // half-written or malformed day — the final validation pass deals with it
+    }
+    re.lastIndex = end + 1;
+  }
+  return days;
+}
+
+async function completeWithDayProgress(route, messages, onDay) {
+  const reported = new Set();
+  let text = "";
+
+  const report = () => {
+    for (const [iso, meals] of Object.entries(closedDays(text))) {
+      if (reported.has(iso) || validateSchema(meals, dayPlanSchema).length) continue;
+      reported.add(iso);
+      onDay(iso, meals);
+    }
+  };
+
+  await llm.stream({
+    route,
+    messages,
+    onDelta: (delta) => {
+      text += delta;
+      if (delta.includes("]")) report();
+    }
+  });
+
+  return text;
+}
+
+// Owner + members when the payload asks for a household plan and there's someone besides the owner
+async function loadPlanHousehold(uid, profile, payload) {
+  if (!payload?.household || !uid) return null;
+  const members = await loadHousehold(uid, profile);
+  return members.length > 1 ? members : null;
+}
+
+async function loadPlanPantry(uid, payload) {
+  if (!payload?.usePantry || !uid) return null;
+  try {
+    const pantry = await loadPantry(uid);
+    return pantry.length ? pantry : null;
+  } catch (err) {
+    console.warn("⚠️ Failed to load pantry for UID:", uid, err.message);
+    return null;
+  }
+}
+
+function householdSummary(household, macros) {
+  return {
+    members: household.map(({ id, name, portion }) => ({ id, name, portion })),
+    macros,
+  };
+}
+
+export async function generatePlan({ kind, uid, profile, payload, onDay }) {
+  const isWeek = kind === "week";
+  const isBatch = isWeek && !!payload.batchCook;
+  const favorites = await loadFavorites(uid, payload);
+  const household = await loadPlanHousehold(uid, profile, payload);
+  const pantry = await loadPlanPantry(uid, payload);
+  const safetyRules = household ? buildHouseholdSafetyRules(household) : buildSafetyRules(profile);
+
+  const userMessage = isWeek
+    ? buildWeeklyPlannerPrompt(profile, payload, { favorites, household, pantry })
+    : buildDayPlannerPrompt(profile, payload, { favorites, household, pantry });
+
+  const route = isBatch ? "batchPlan" : isWeek ? "weekPlan" : "dayPlan";
+
+  const generated = await generateJson({
+    label: isBatch ? "batch-plan" : isWeek ? "week-plan" : "day-plan",
+    schema: isBatch ? batchPlanSchema : isWeek ? weekPlanSchema : dayPlanSchema,
+    check: (parsed) => {
+      const days = isBatch ? parsed.days : parsed;
+      const meals = isWeek ? Object.values(days).flat() : days;
+      return [
+        ...checkMealsSafety(meals, safetyRules),
+        ...checkRemixIds(meals, favorites),
+        ...(isBatch ? checkBatchPlan(parsed) : []),
+      ];
+    },
+    softCheck: true, // still unsafe after the retries → flagged below rather than failing the plan
+    generate: async (repairTurns) => {
+      const messages = [
+        { role: "system", content: buildSystemPrompt(profile) },
+        { role: "user", content: userMessage },
+        ...repairTurns
+      ];
+      if (isWeek && onDay) {
+        return completeWithDayProgress(route, messages, (iso, meals) => onDay(iso, flagMeals(meals, safetyRules)));
+      }
+
+      const { text } = await llm.complete({ route, messages });
+      return text;
+    }
+  });
+
+  // Batch plans come back with components + prep around the days; leftovers get resolved here
+  let batchReport = {};
+  let weekPlan = generated;
+  if (isBatch) {
+    const { plan, batch } = annotateBatchPlan(generated);
+    const issues = checkBatchPlan(generated);
+    weekPlan = plan;
+    batchReport = { batch: issues.length ? { ...batch, issues } : batch };
+  }
+
+  // GPT returns the week ISO-keyed already; a day gets wrapped so the frontend sees one shape
+  const isoPlan = isWeek
+    ? weekPlan
+    : { [payload.targetDate || todayIso()]: generated };
+
+  const annotated = Object.fromEntries(
+    Object.entries(isoPlan).map(([iso, meals]) => {
+      let annotatedMeals = flagMeals(annotateRemixes(meals, favorites), safetyRules);
+      if (pantry) annotatedMeals = annotatedMeals.map(meal => annotatePantryMeal(meal, pantry));
+      return [iso, annotatedMeals];
+    })
+  );
+  const pantryReport = pantry ? { pantry: summarizePantryUse(annotated, pantry) } : {};
+
+  // Shared meals keep their standard portion; each member's portion does the balancing instead
+  if (household) {
+    const plan = Object.fromEntries(
+      Object.entries(annotated).map(([iso, meals]) => [iso, meals.map(meal => applyHouseholdPortions(meal, household))])
+    );
+    const byMember = reviewHouseholdMacros(plan, household, { tolerance: payload.macroTolerance });
+    return {
+      plan,
+      macros: byMember[SELF_MEMBER_ID],
+      favorites,
+      household: householdSummary(household, byMember),
+      ...pantryReport,
+      ...batchReport,
+    };
+  }
+
+  const { plan, days } = reviewPlanMacros(annotated, profile, {
+    tolerance: payload.macroTolerance,
+    rebalance: payload.rebalance !== false
+  });
+
+  return { plan, macros: days, favorites, ...pantryReport, ...batchReport };
+}
+
+// Same day and the days either side — the replacement must not repeat proteins/cuisines from these
+function nearbyMeals(plan, date, original) {
+  const day = Date.parse(date);
+  return Object.entries(plan)
+    .filter(([iso]) => Math.abs(Date.parse(iso) - day) <= ONE_DAY_MS)
+    .flatMap(([, meals]) => meals)
+    .filter(meal => meal !== original);
+}
+
+export async function swapMeal({ uid, profile, plan, date, mealType, reason, payload = {} }) {
+  const dayMeals = plan?.[date];
+  if (!Array.isArray(dayMeals)) {
+    throw new ApiError(400, "invalid_plan", `The plan has no meals on ${date}.`);
+  }
+
+  const wanted = String(mealType).trim().toLowerCase();
+  const original = dayMeals.find(m => String(m?.mealType || "").trim().toLowerCase() === wanted);
+  if (!original) {
+    throw new ApiError(404, "meal_not_found", `No ${mealType} found on ${date}.`);
+  }
+
+  const household = await loadPlanHousehold(uid, profile, payload);
+  const pantry = await loadPlanPantry(uid, payload);
+  const safetyRules = household ? buildHouseholdSafetyRules(household) : buildSafetyRules(profile);
+  const otherMeals = Object.values(plan).flat().filter(meal => meal && meal !== original);
+  const nearby = nearbyMeals(plan, date, original);
+
+  const userMessage = buildMealSwapPrompt(profile, {
+    plan,
+    date,
+    mealType: original.mealType,
+    original,
+    reason,
+    variety: varietySummary(otherMeals),
+    payload,
+    household,
+    pantry,
+  });
+
+  const generated = await generateJson({
+    label: "meal-swap",
+    schema: mealSchema,
+    check: (meal) => [...checkMealsSafety([meal], safetyRules), ...checkSwapVariety(meal, nearby, { original })],
+    softCheck: true, // a swap that still repeats or breaks a rule comes back flagged instead of failing
+    generate: async (repairTurns) => {
+      const { text } = await llm.complete({
+        route: "mealSwap",
+        messages: [
+          { role: "system", content: buildSystemPrompt(profile) },
+          { role: "user", content: userMessage },
+          ...repairTurns
+        ]
+      });
+      return text;
+    }
+  });
+
+  // Keep the slot's own label ("Dinner", not whatever casing the model picked); a fresh meal isn't a remix
+  const { remixOf, ...rest } = generated;
+  const [flagged] = flagMeals([{ ...rest, mealType: original.mealType }], safetyRules);
+  const withPantry = pantry ? annotatePantryMeal(flagged, pantry) : flagged;
+  const meal = household ? applyHouseholdPortions(withPantry, household) : withPantry;
+
+  // How the day adds up with the swap in place — reported, not rebalanced, so the rest of the day stays as planned
+  const swappedDay = dayMeals.map(m => (m === original ? meal : m));
+  if (household) {
+    const byMember = reviewHouseholdMacros({ [date]: swappedDay }, household, { tolerance: payload.macroTolerance });
+    return {
+      date,
+      mealType: original.mealType,
+      meal,
+      replaced: original.title,
+      macros: byMember[SELF_MEMBER_ID][date],
+      household: householdSummary(household, byMember),
+    };
+  }
+
+  const { days } = reviewPlanMacros({ [date]: swappedDay }, profile, {
+    tolerance: payload.macroTolerance,
+    rebalance: false
+  });
+
+  return { date, mealType: original.mealType, meal, replaced: original.title, macros: days[date] };
+}
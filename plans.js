@@ -0,0 +1,465 @@
+// plans.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+import { validateSchema } from "./ai-json.js";
+import { storedPlanSchema } from "./schemas.js";
+import { ApiError } from "./errors.js";
+
+/**
+ * 🗂️ Saved meal plans with revision history
+ *
+ * users/{uid}/plans/{planId}
+ *   { kind: "week"|"day", title, plan (current ISO-keyed plan), payload, startDate, endDate,
+ *     batch? (batch cooking components + prep schedule), ingredients? (grocery list cache, see
+ *     savePlanIngredients), currentRevision, createdAt, updatedAt }
+ * users/{uid}/plans/{planId}/revisions/{n}
+ *   { revision, plan, batch (null when not batch cooked), source, note, restoredFrom?, createdAt }
+ *
+ * `plan` on the parent is always the latest revision, so /api/grocery-list { planId } and
+ * anything else reading it never has to walk the history.
+ * source: generate | regenerate | regenerate_day | swap | edit | restore
+ */
+
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const PAYLOAD_FIELDS = ["startDate", "numDays", "intentNotes", "meals", "cravings", "tags", "specialPlans", "useFavorites", "targetDate", "household", "usePantry", "batchCook", "prepDays"];
+
+function plansRef(uid) {
+  return db.collection("users").doc(uid).collection("plans");
+}
+
+function revisionRef(planRef, revision) {
+  return planRef.collection("revisions").doc(String(revision));
+}
+
+function iso(ts) {
+  return ts?.toDate ? ts.toDate().toISOString() : null;
+}
+
+function dateRange(plan) {
+  const dates = Object.keys(plan || {}).sort();
+  return { startDate: dates[0] || null, endDate: dates[dates.length - 1] || null };
+}
+
+// Only the inputs that shaped the plan — the client may send more
+function pickPayload(payload = {}) {
+  return Object.fromEntries(
+    PAYLOAD_FIELDS.filter(key => payload[key] !== undefined).map(key => [key, payload[key]])
+  );
+}
+
+function serializePlan(doc, { includePlan = true } = {}) {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    kind: data.kind,
+    title: data.title || "",
+    startDate: data.startDate,
+    endDate: data.endDate,
+    currentRevision: data.currentRevision,
+    payload: data.payload || {},
+    ...(includePlan ? { plan: data.plan } : {}),
+    ...(includePlan && data.batch ? { batch: data.batch } : {}),
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+function serializeRevision(doc, { includePlan = true } = {}) {
+  const data = doc.data() || {};
+  return {
+    revision: data.revision,
+    source: data.source,
+    note: data.note || "",
+    ...(data.restoredFrom ? { restoredFrom: data.restoredFrom } : {}),
+    ...(includePlan ? { plan: data.plan } : {}),
+    ...(includePlan && data.batch ? { batch: data.batch } : {}),
+    createdAt: iso(data.createdAt),
+  };
+}
+
+export async function createPlan(uid, { kind, plan, payload = {}, title = "", batch: batchCooking = null }) {
+  const ref = plansRef(uid).doc();
+  const batch = db.batch();
+
+  batch.set(ref, {
+    kind,
+    title,
+    plan,
+    payload: pickPayload(payload),
+    ...dateRange(plan),
+    ...(batchCooking ? { batch: batchCooking } : {}),
+    currentRevision: 1,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  batch.set(revisionRef(ref, 1), {
+    revision: 1,
+    plan,
+    batch: batchCooking,
+    source: "generate",
+    note: "",
+    createdAt: FieldValue.serverTimestamp(),
+  });
+
+  await batch.commit();
+  return { planId: ref.id, revision: 1 };
+}
+
+/**
+ * Writes a new revision and makes it current. `update(currentPlan)` returns the next plan,
+ * so callers that change one day or one meal merge against the latest stored version.
+ * `batch` (when given) replaces the stored batch-cooking summary; null removes it. Left out,
+ * the current one carries over. Every revision keeps the batch it was saved with.
+ * Returns { planId, revision, plan, batch } or null when the plan doesn't exist.
+ */
+export async function addPlanRevision(uid, planId, { update, source, note = "", restoredFrom, payload, batch }) {
+  const ref = plansRef(uid).doc(planId);
+
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    const plan = await update(data.plan || {});
+    const revision = (data.currentRevision || 0) + 1;
+    const nextBatch = batch !== undefined ? batch || null : data.batch || null;
+
+    tx.update(ref, {
+      plan,
+      ...dateRange(plan),
+      ...(payload ? { payload: pickPayload(payload) } : {}),
+      ...(batch !== undefined ? { batch: batch || FieldValue.delete() } : {}),
+      currentRevision: revision,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    tx.set(revisionRef(ref, revision), {
+      revision,
+      plan,
+      batch: nextBatch,
+      source,
+      note,
+      ...(restoredFrom ? { restoredFrom } : {}),
+      createdAt: FieldValue.serverTimestamp(),
+    });
+
+    return { planId, revision, plan, batch: nextBatch };
+  });
+}
+
+/**
+ * After /generate-week-plan or /generate-day-plan: a new plan, or — with planId — a new
+ * revision (a day replaces just that date, a week replaces everything).
+ * Storage problems are logged, not thrown: the user still gets their plan. A planId that
+ * doesn't exist (deleted meanwhile, or someone else's) is an ApiError 404 instead of a silent no-op.
+ */
+export async function savePlanResult(uid, { kind, planId, plan, payload, batch = null }) {
+  if (!uid) return null;
+  let saved;
+  try {
+    if (!planId) return await createPlan(uid, { kind, plan, payload, batch });
+
+    saved = await addPlanRevision(uid, String(planId), {
+      source: kind === "day" ? "regenerate_day" : "regenerate",
+      update: (current) => (kind === "day" ? { ...current, ...plan } : plan),
+      payload: kind === "week" ? payload : undefined,
+      batch: kind === "week" ? batch : undefined,
+    });
+  } catch (err) {
+    console.error("❌ Failed to save plan:", uid, err.message || err);
+    return null;
+  }
+  if (!saved) throw new ApiError(404, "plan_not_found", "Plan not found.");
+  return { planId: saved.planId, revision: saved.revision };
+}
+
+// First meal of that type on that date → `meal` (what a swap does to the stored plan)
+export function replaceMeal(plan, date, mealType, meal) {
+  const wanted = String(mealType).trim().toLowerCase();
+  let replaced = false;
+  const meals = (plan[date] || []).map(m => {
+    if (replaced || String(m?.mealType || "").trim().toLowerCase() !== wanted) return m;
+    replaced = true;
+    return meal;
+  });
+  return { ...plan, [date]: meals };
+}
+
+// "2025-07-29|Dinner|Miso Salmon" — a swapped or edited meal gets a new key, so its list is regenerated
+export function ingredientsKey(iso, meal) {
+  return [iso, meal?.mealType || "", meal?.title || ""].join("|");
+}
+
+/**
+ * Caches generated ingredient lists on the plan: ingredients { [ingredientsKey]: { lines, onePortion } }
+ * (onePortion: a household meal's single-portion list). Entries for meals no longer in the
+ * current plan are dropped on every write.
+ */
+export async function savePlanIngredients(uid, planId, lists) {
+  const ref = plansRef(uid).doc(String(planId));
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return;
+    const data = snap.data();
+    const live = new Set(Object.entries(data.plan || {}).flatMap(([iso, meals]) =>
+      (Array.isArray(meals) ? meals : []).map(meal => ingredientsKey(iso, meal))
+    ));
+    const ingredients = Object.fromEntries(
+      Object.entries({ ...(data.ingredients || {}), ...lists }).filter(([key]) => live.has(key))
+    );
+    tx.set(ref, { ingredients }, { mergeFields: ["ingredients"] });
+  });
+}
+
+export async function loadCurrentPlan(uid, planId) {
+  const snap = await plansRef(uid).doc(String(planId)).get();
+  return snap.exists ? snap.data().plan || null : null;
+}
+
+// --------------- Diff ----------------
+
+// "2025-07-29" → { "Dinner": meal, "Snack#2": meal } so repeated meal types still line up
+function slotMap(meals = []) {
+  const seen = {};
+  const slots = {};
+  for (const meal of meals) {
+    const type = meal?.mealType || "Meal";
+    seen[type] = (seen[type] || 0) + 1;
+    slots[seen[type] > 1 ? `${type}#${seen[type]}` : type] = meal;
+  }
+  return slots;
+}
+
+function sameMeal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+export function diffPlans(before = {}, after = {}) {
+  const dates = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  const changes = [];
+
+  for (const date of dates) {
+    if (!before[date]) { changes.push({ type: "day_added", date, meals: after[date] }); continue; }
+    if (!after[date]) { changes.push({ type: "day_removed", date, meals: before[date] }); continue; }
+
+    const a = slotMap(before[date]);
+    const b = slotMap(after[date]);
+    for (const slot of new Set([...Object.keys(a), ...Object.keys(b)])) {
+      if (!a[slot]) changes.push({ type: "meal_added", date, slot, after: b[slot] });
+      else if (!b[slot]) changes.push({ type: "meal_removed", date, slot, before: a[slot] });
+      else if (!sameMeal(a[slot], b[slot])) changes.push({ type: "meal_changed", date, slot, before: a[slot], after: b[slot] });
+    }
+  }
+
+  return changes;
+}
+
+// --------------- Route registration ----------------
+export function registerPlanRoutes(app) {
+  const auth = requireAuth();
+
+  const parseRevision = (value) => {
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  };
+
+  // GET /api/plans?limit=20&cursor=<lastId> → newest first, without the plan bodies
+  app.get("/api/plans", auth, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, MAX_PAGE_SIZE);
+      let query = plansRef(req.uid).orderBy("updatedAt", "desc").limit(limit + 1);
+
+      if (req.query.cursor) {
+        const cursorDoc = await plansRef(req.uid).doc(String(req.query.cursor)).get();
+        if (!cursorDoc.exists) {
+          return res.status(400).json({ success: false, error: "Invalid cursor." });
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snap = await query.get();
+      const page = snap.docs.slice(0, limit);
+      res.json({
+        success: true,
+        plans: page.map(doc => serializePlan(doc, { includePlan: false })),
+        nextCursor: snap.docs.length > limit ? page[page.length - 1].id : null,
+      });
+    } catch (err) {
+      console.error("❌ Failed to list plans:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to list plans." });
+    }
+  });
+
+  // GET /api/plans/:planId → current plan
+  app.get("/api/plans/:planId", auth, async (req, res) => {
+    try {
+      const snap = await plansRef(req.uid).doc(req.params.planId).get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      res.json({ success: true, plan: serializePlan(snap) });
+    } catch (err) {
+      console.error("❌ Failed to fetch plan:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch plan." });
+    }
+  });
+
+  // PUT /api/plans/:planId → manual edit { plan, note?, title? }; saved as a new revision
+  app.put("/api/plans/:planId", auth, async (req, res) => {
+    const { plan, note, title } = req.body || {};
+
+    const problems = plan === undefined ? ["plan is required"] : validateSchema(plan, storedPlanSchema, "plan");
+    if (problems.length) {
+      return res.status(400).json({ success: false, error: problems[0], code: "invalid_plan", details: problems.slice(0, 20) });
+    }
+
+    try {
+      const saved = await addPlanRevision(req.uid, req.params.planId, {
+        source: "edit",
+        note: typeof note === "string" ? note.trim().slice(0, 200) : "",
+        update: () => plan,
+      });
+      if (!saved) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      if (typeof title === "string") {
+        await plansRef(req.uid).doc(req.params.planId).update({ title: title.trim().slice(0, 120) });
+      }
+      res.json({ success: true, planId: saved.planId, revision: saved.revision, plan: saved.plan });
+    } catch (err) {
+      console.error("❌ Failed to edit plan:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to save plan." });
+    }
+  });
+
+  // DELETE /api/plans/:planId → plan + every revision
+  app.delete("/api/plans/:planId", auth, async (req, res) => {
+    try {
+      const ref = plansRef(req.uid).doc(req.params.planId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      await db.recursiveDelete(ref);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Failed to delete plan:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to delete plan." });
+    }
+  });
+
+  // GET /api/plans/:planId/revisions?limit=50&cursor=<revision> → history, newest first, without plan bodies
+  app.get("/api/plans/:planId/revisions", auth, async (req, res) => {
+    const cursor = req.query.cursor === undefined ? null : parseRevision(req.query.cursor);
+    if (req.query.cursor !== undefined && !cursor) {
+      return res.status(400).json({ success: false, error: "Invalid cursor." });
+    }
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+      const ref = plansRef(req.uid).doc(req.params.planId);
+      let query = ref.collection("revisions").orderBy("revision", "desc").limit(limit + 1);
+      if (cursor) query = query.startAfter(cursor);
+
+      const [planSnap, revSnap] = await Promise.all([ref.get(), query.get()]);
+      if (!planSnap.exists) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      const page = revSnap.docs.slice(0, limit);
+      res.json({
+        success: true,
+        currentRevision: planSnap.data().currentRevision,
+        revisions: page.map(doc => serializeRevision(doc, { includePlan: false })),
+        nextCursor: revSnap.docs.length > limit ? page[page.length - 1].data().revision : null,
+      });
+    } catch (err) {
+      console.error("❌ Failed to list plan revisions:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to list revisions." });
+    }
+  });
+
+  // GET /api/plans/:planId/revisions/:revision
+  app.get("/api/plans/:planId/revisions/:revision", auth, async (req, res) => {
+    const revision = parseRevision(req.params.revision);
+    if (!revision) {
+      return res.status(400).json({ success: false, error: "Invalid revision." });
+    }
+
+    try {
+      const snap = await revisionRef(plansRef(req.uid).doc(req.params.planId), revision).get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Revision not found." });
+      }
+      res.json({ success: true, revision: serializeRevision(snap) });
+    } catch (err) {
+      console.error("❌ Failed to fetch plan revision:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch revision." });
+    }
+  });
+
+  // GET /api/plans/:planId/diff?from=1&to=3 (to defaults to the current revision)
+  app.get("/api/plans/:planId/diff", auth, async (req, res) => {
+    const from = parseRevision(req.query.from);
+    if (!from || (req.query.to !== undefined && !parseRevision(req.query.to))) {
+      return res.status(400).json({ success: false, error: "from (and optional to) must be revision numbers." });
+    }
+
+    try {
+      const ref = plansRef(req.uid).doc(req.params.planId);
+      const planSnap = await ref.get();
+      if (!planSnap.exists) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      const to = parseRevision(req.query.to) || planSnap.data().currentRevision;
+
+      const [a, b] = await Promise.all([revisionRef(ref, from).get(), revisionRef(ref, to).get()]);
+      if (!a.exists || !b.exists) {
+        return res.status(404).json({ success: false, error: "Revision not found." });
+      }
+
+      res.json({ success: true, from, to, changes: diffPlans(a.data().plan, b.data().plan) });
+    } catch (err) {
+      console.error("❌ Failed to diff plan revisions:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to diff revisions." });
+    }
+  });
+
+  // POST /api/plans/:planId/restore { revision } → copies that revision forward as a new one
+  app.post("/api/plans/:planId/restore", auth, async (req, res) => {
+    const revision = parseRevision(req.body?.revision);
+    if (!revision) {
+      return res.status(400).json({ success: false, error: "revision is required." });
+    }
+
+    try {
+      const ref = plansRef(req.uid).doc(req.params.planId);
+      const old = await revisionRef(ref, revision).get();
+      if (!old.exists) {
+        return res.status(404).json({ success: false, error: "Revision not found." });
+      }
+
+      // Revisions saved before batch was tracked have no field at all — keep the current batch then
+      const saved = await addPlanRevision(req.uid, req.params.planId, {
+        source: "restore",
+        note: `Restored revision ${revision}`,
+        restoredFrom: revision,
+        update: () => old.data().plan,
+        batch: old.data().batch,
+      });
+      if (!saved) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      res.json({
+        success: true,
+        planId: saved.planId,
+        revision: saved.revision,
+        plan: saved.plan,
+        ...(saved.batch ? { batch: saved.batch } : {}),
+      });
+    } catch (err) {
+      console.error("❌ Failed to restore plan revision:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to restore revision." });
+    }
+  });
+}
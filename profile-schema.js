@@ -0,0 +1,138 @@
+// profile-schema.js
+
+/**
+ * 👤 Canonical Flavor Profile — users/{uid}.flavorProfile
+ *
+ * {
+ *   version: 1,
+ *   name, fitnessGoal, culinaryGoal,          // strings ("" when unset)
+ *   calories, protein, carbs, fat,            // daily targets: kcal / grams, null when unset
+ *   likes, dislikes, restrictions,            // string arrays (restrictions include allergies)
+ *   units: "imperial" | "metric" | null,
+ *   updatedAt
+ * }
+ *
+ * normalizeProfile() accepts anything we've ever stored or been sent (legacy `goals`,
+ * `preferences`, `dietaryRestrictions`, `allergies`, "2,000"-style macro strings, comma
+ * lists) and returns this shape, so every prompt builder reads the same fields.
+ */
+
+export const PROFILE_VERSION = 1;
+
+const TEXT_FIELDS = { name: 80, fitnessGoal: 500, culinaryGoal: 500 };
+const LIST_FIELDS = ["likes", "dislikes", "restrictions"];
+const TARGET_FIELDS = {
+  calories: { min: 800, max: 10000 },
+  protein: { min: 0, max: 1000 },
+  carbs: { min: 0, max: 1000 },
+  fat: { min: 0, max: 1000 },
+};
+const UNIT_VALUES = ["imperial", "metric"];
+
+const MAX_LIST_ITEMS = 50;
+const MAX_LIST_ITEM_LENGTH = 60;
+
+export const PROFILE_FIELDS = [...Object.keys(TEXT_FIELDS), ...Object.keys(TARGET_FIELDS), ...LIST_FIELDS, "units"];
+
+function toText(value, max) {
+  if (Array.isArray(value)) value = value.filter(Boolean).join(", ");
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+// "chicken, limes; tacos" or ["Chicken", "chicken "] → ["chicken", "limes", "tacos"]
+function toList(value) {
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === "string" ? value.split(/[,;\n]/) : [];
+  const seen = new Set();
+  const out = [];
+  for (const item of items) {
+    const text = String(item ?? "").trim().slice(0, MAX_LIST_ITEM_LENGTH);
+    const key = text.toLowerCase();
+    if (!text || seen.has(key)) continue;
+    seen.add(key);
+    out.push(text);
+  }
+  return out.slice(0, MAX_LIST_ITEMS);
+}
+
+// "2,000", "150g", 180 → number; anything else → null
+function toTarget(value) {
+  if (typeof value === "number") return Number.isFinite(value) && value > 0 ? Math.round(value) : null;
+  if (typeof value !== "string") return null;
+  const n = parseFloat(value.replace(/,/g, ""));
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : null;
+}
+
+function toUnits(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (v === "us") return "imperial";
+  return UNIT_VALUES.includes(v) ? v : null;
+}
+
+export function normalizeProfile(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+
+  // Legacy fields from the breakdown-era profile
+  const legacyGoals = toList(src.goals);
+  const restrictions = [...toList(src.restrictions), ...toList(src.dietaryRestrictions), ...toList(src.allergies)];
+
+  const profile = { version: PROFILE_VERSION };
+  for (const [field, max] of Object.entries(TEXT_FIELDS)) profile[field] = toText(src[field], max);
+  if (!profile.fitnessGoal && legacyGoals.length) profile.fitnessGoal = toText(legacyGoals, TEXT_FIELDS.fitnessGoal);
+
+  for (const field of Object.keys(TARGET_FIELDS)) profile[field] = toTarget(src[field]);
+
+  profile.likes = toList([...toList(src.likes), ...toList(src.preferences)]);
+  profile.dislikes = toList(src.dislikes);
+  profile.restrictions = toList(restrictions);
+  profile.units = toUnits(src.units);
+
+  return profile;
+}
+
+export function isCurrentProfile(raw) {
+  return raw?.version === PROFILE_VERSION;
+}
+
+/**
+ * PATCH body → { changes } or { errors: [...] }. null clears a field; unknown fields are rejected
+ * so typos don't silently vanish.
+ */
+export function validateProfilePatch(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { errors: ["Body must be an object of profile fields."] };
+  }
+
+  const errors = [];
+  const changes = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    if (!PROFILE_FIELDS.includes(field)) {
+      errors.push(`Unknown field "${field}".`);
+      continue;
+    }
+
+    if (field in TEXT_FIELDS) {
+      if (value !== null && typeof value !== "string") errors.push(`${field} must be a string.`);
+      else if (value && value.length > TEXT_FIELDS[field]) errors.push(`${field} must be at most ${TEXT_FIELDS[field]} characters.`);
+      else changes[field] = toText(value || "", TEXT_FIELDS[field]);
+    } else if (field in TARGET_FIELDS) {
+      const { min, max } = TARGET_FIELDS[field];
+      const n = value === null ? null : toTarget(value);
+      if (value !== null && (n === null || n < min || n > max)) errors.push(`${field} must be a number between ${min} and ${max}.`);
+      else changes[field] = n;
+    } else if (LIST_FIELDS.includes(field)) {
+      if (value !== null && !Array.isArray(value) && typeof value !== "string") errors.push(`${field} must be a list of strings.`);
+      else if (Array.isArray(value) && value.length > MAX_LIST_ITEMS) errors.push(`${field} can have at most ${MAX_LIST_ITEMS} items.`);
+      else changes[field] = toList(value);
+    } else if (field === "units") {
+      if (value !== null && !toUnits(value)) errors.push(`units must be one of: ${UNIT_VALUES.join(", ")}.`);
+      else changes.units = value === null ? null : toUnits(value);
+    }
+  }
+
+  if (!errors.length && !Object.keys(changes).length) errors.push("Nothing to update.");
+
+  return errors.length ? { errors } : { changes };
+}
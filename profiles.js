@@ -0,0 +1,89 @@
+// profiles.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+import { normalizeProfile, validateProfilePatch, isCurrentProfile } from "./profile-schema.js";
+
+/**
+ * 👤 Flavor Profile storage + API (schema lives in profile-schema.js)
+ * Stored at users/{uid}.flavorProfile. Reads always go through normalizeProfile, so routes
+ * work the same before and after migrate-flavor-profiles.js has run. Like the migration, the
+ * first PATCH of a pre-canonical profile keeps the original map as flavorProfileLegacy.
+ */
+
+function userRef(uid) {
+  return db.collection("users").doc(uid);
+}
+
+function serializeProfile(profile) {
+  const { updatedAt, ...rest } = profile;
+  return { ...rest, updatedAt: updatedAt?.toDate ? updatedAt.toDate().toISOString() : null };
+}
+
+/**
+ * The profile every AI route should use: the stored one for signed-in users, otherwise
+ * whatever the client sent (anonymous routes / older clients). Always normalized.
+ */
+export async function loadFlavorProfile(uid, fallback = null) {
+  if (uid) {
+    try {
+      const snap = await userRef(uid).get();
+      const stored = snap.exists ? snap.data()?.flavorProfile : null;
+      if (stored) return normalizeProfile(stored);
+    } catch (err) {
+      console.warn("⚠️ Failed to load flavor profile for UID:", uid, err.message);
+    }
+  }
+  return normalizeProfile(fallback);
+}
+
+// --------------- Route registration ----------------
+export function registerProfileRoutes(app) {
+  const auth = requireAuth();
+
+  // GET /api/profile → normalized profile (empty defaults when none is saved yet)
+  app.get("/api/profile", auth, async (req, res) => {
+    try {
+      const snap = await userRef(req.uid).get();
+      const stored = snap.exists ? snap.data()?.flavorProfile : null;
+      res.json({
+        success: true,
+        profile: serializeProfile({ ...normalizeProfile(stored), updatedAt: stored?.updatedAt }),
+        exists: !!stored,
+      });
+    } catch (err) {
+      console.error("❌ Failed to fetch profile:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch profile." });
+    }
+  });
+
+  // PATCH /api/profile → partial update, validated; null clears a field
+  app.patch("/api/profile", auth, async (req, res) => {
+    const { changes, errors } = validateProfilePatch(req.body);
+    if (errors) {
+      return res.status(400).json({ success: false, error: errors[0], code: "invalid_profile", details: errors });
+    }
+
+    try {
+      const ref = userRef(req.uid);
+      const profile = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const data = snap.exists ? snap.data() : {};
+        const stored = data?.flavorProfile || null;
+        const next = { ...normalizeProfile(stored), ...changes };
+
+        // mergeFields replaces flavorProfile wholesale, so legacy keys don't linger next to the new ones
+        // (normalizeProfile would read a cleared field back from them) — the original map is kept instead
+        const update = { flavorProfile: { ...next, updatedAt: FieldValue.serverTimestamp() } };
+        if (stored && !isCurrentProfile(stored) && !data.flavorProfileLegacy) update.flavorProfileLegacy = stored;
+        tx.set(ref, update, { mergeFields: Object.keys(update) });
+        return next;
+      });
+
+      res.json({ success: true, profile: { ...profile, updatedAt: new Date().toISOString() } });
+    } catch (err) {
+      console.error("❌ Failed to update profile:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to update profile." });
+    }
+  });
+}
@@ -1,23 +1,26 @@
 // prompt.js
+import { normalizeProfile } from "./profile-schema.js";
 
-export function buildSystemPrompt(flavorProfile = {}) {
-  if (!flavorProfile || typeof flavorProfile !== 'object') {
-  flavorProfile = {};
-  }
-  const format = (label, value) => value ? `- ${label}: ${value}` : "";
+export function buildSystemPrompt(rawProfile = {}) {
+  const flavorProfile = normalizeProfile(rawProfile);
+  const format = (label, value) => {
+    const text = Array.isArray(value) ? value.join(", ") : value;
+    return text ? `- ${label}: ${text}` : "";
+  };
 
   const personalization = `
 👤 USER FLAVOR PROFILE
 ${format("Name", flavorProfile.name)}
 ${format("Fitness Goal", flavorProfile.fitnessGoal)}
 ${format("Calories", flavorProfile.calories)}
-${format("Protein", flavorProfile.protein)}
-${format("Carbs", flavorProfile.carbs)}
-${format("Fat", flavorProfile.fat)}
+${format("Protein", flavorProfile.protein && `${flavorProfile.protein}g`)}
+${format("Carbs", flavorProfile.carbs && `${flavorProfile.carbs}g`)}
+${format("Fat", flavorProfile.fat && `${flavorProfile.fat}g`)}
 ${format("Culinary Goal", flavorProfile.culinaryGoal)}
 ${format("Likes", flavorProfile.likes)}
 ${format("Dislikes", flavorProfile.dislikes)}
 ${format("Dietary Preferences", flavorProfile.restrictions)}
+${format("Measurement Units", flavorProfile.units)}
 `.trim();
 
   return `🍳 ROLE & PURPOSE
@@ -122,3 +125,27 @@ Always align with joyful, sustainable eating — flavor first, fitness-enabling.
 - Where helpful, offer flexible options, swaps, shortcuts, and "Ben's Chef’d Up Upgrades"
 `.trim();
 }
+
+// One line per pantry item, soonest-to-expire first (loadPantry order)
+export function formatPantryList(pantry = []) {
+  return pantry
+    .filter(p => p.status !== "expired")
+    .map(p => {
+      const amount = p.quantity !== null && p.quantity !== undefined ? ` — ${p.quantity}${p.unit ? ` ${p.unit}` : ""}` : "";
+      const expiry = p.expiresOn
+        ? ` (${p.status === "expiring" ? "⚠️ use soon, " : ""}expires ${p.expiresOn})`
+        : "";
+      return `- ${p.item}${amount}${expiry}`;
+    })
+    .join("\n");
+}
+
+// Extra system message for chat when the user has a pantry — lets the coach cook from it
+export function buildPantryPrompt(pantry = []) {
+  const list = formatPantryList(pantry);
+  if (!list) return "";
+  return `🥫 WHAT'S IN THEIR KITCHEN RIGHT NOW
+${list}
+
+When they ask what to cook (or it would help), build on these — especially the ⚠️ ones — and say which extra ingredients they'd need to buy. Don't list the pantry back to them unless they ask.`;
+}
@@ -0,0 +1,232 @@
+// quotas.js
+import rateLimit from "express-rate-limit";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+
+/**
+ * 🎟️ Per-user usage quotas
+ * - Limits per route + period, by subscription tier (trial / standard / pro)
+ * - Counters live at users/{uid}/usage/{routeKey} and are bumped in a transaction
+ * - Requests that don't succeed get their unit back: any non-2xx automatically; SSE errors
+ *   (already a 200) via req.refundQuota(), failed async plan jobs via refundQuota(job.quota)
+ * - groceryList is charged per request plus one unit per meal ingredient list it has to
+ *   generate (chargeQuota), so its limits are higher
+ */
+
+// Which quota bucket each AI route draws from
+const ROUTE_KEYS = {
+  "/": "chat",
+  "/chat/stream": "chat",
+  "/api/breakdown": "breakdown",
+  "/generate-week-plan": "weekPlan",
+  "/generate-day-plan": "dayPlan",
+  "/generate-meal-swap": "mealSwap",
+  "/generate-instructions": "instructions",
+  "/generate-metadata": "metadata",
+  "/api/grocery-list": "groceryList",
+};
+
+const QUOTAS = {
+  trial: {
+    chat: { period: "day", limit: 30 },
+    breakdown: { period: "day", limit: 3 },
+    weekPlan: { period: "week", limit: 2 },
+    dayPlan: { period: "day", limit: 5 },
+    mealSwap: { period: "day", limit: 10 },
+    instructions: { period: "day", limit: 20 },
+    metadata: { period: "day", limit: 30 },
+    groceryList: { period: "day", limit: 40 },
+  },
+  standard: {
+    chat: { period: "day", limit: 100 },
+    breakdown: { period: "day", limit: 5 },
+    weekPlan: { period: "week", limit: 5 },
+    dayPlan: { period: "day", limit: 10 },
+    mealSwap: { period: "day", limit: 30 },
+    instructions: { period: "day", limit: 50 },
+    metadata: { period: "day", limit: 100 },
+    groceryList: { period: "day", limit: 100 },
+  },
+  pro: {
+    chat: { period: "day", limit: 300 },
+    breakdown: { period: "day", limit: 20 },
+    weekPlan: { period: "week", limit: 15 },
+    dayPlan: { period: "day", limit: 30 },
+    mealSwap: { period: "day", limit: 100 },
+    instructions: { period: "day", limit: 150 },
+    metadata: { period: "day", limit: 300 },
+    groceryList: { period: "day", limit: 300 },
+  },
+};
+
+// "price_123:pro,price_456:standard" — any other active price is "standard"
+const PRICE_TIERS = Object.fromEntries(
+  (process.env.STRIPE_PRICE_TIERS || "")
+    .split(",").map(s => s.trim().split(":")).filter(([id, tier]) => id && QUOTAS[tier])
+);
+
+export function quotaKeyForPath(path) {
+  return ROUTE_KEYS[path] || null;
+}
+
+export function tierForSubscription(subscription) {
+  if (subscription?.status === "trialing") return "trial";
+  return PRICE_TIERS[subscription?.priceId] || "standard";
+}
+
+// Periods run in UTC: days from midnight, weeks from Monday
+function periodWindow(period, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+  const reset = new Date(start);
+  reset.setUTCDate(reset.getUTCDate() + (period === "week" ? 7 : 1));
+  return { periodStart: start.toISOString().slice(0, 10), resetAt: reset.toISOString() };
+}
+
+function usageRef(uid, routeKey) {
+  return db.collection("users").doc(uid).collection("usage").doc(routeKey);
+}
+
+function describe(routeKey, quota, used, resetAt) {
+  return {
+    route: routeKey,
+    period: quota.period,
+    limit: quota.limit,
+    used,
+    remaining: Math.max(0, quota.limit - used),
+    resetAt,
+  };
+}
+
+// Gives back units charged in `periodStart` — once a new period started there's nothing to refund
+export async function refundQuota({ uid, routeKey, periodStart }, units = 1) {
+  const ref = usageRef(uid, routeKey);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.data() || {};
+    if (data.periodStart === periodStart && data.count > 0) {
+      tx.update(ref, { count: Math.max(0, data.count - units) });
+    }
+  });
+}
+
+/**
+ * Charges up to `units` more against the request's bucket (req.quota), for work whose size
+ * depends on the input. Returns how many units fit under the limit (0..units).
+ */
+export async function chargeQuota({ uid, routeKey, periodStart, limit }, units) {
+  if (units <= 0) return 0;
+  const ref = usageRef(uid, routeKey);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const data = snap.exists ? snap.data() : {};
+    const used = data.periodStart === periodStart ? data.count || 0 : 0;
+    const granted = Math.max(0, Math.min(units, limit - used));
+    if (granted) tx.set(ref, { periodStart, count: used + granted, updatedAt: new Date() });
+    return granted;
+  });
+}
+
+/**
+ * Mount after requireAuth() + requireEntitlement() (uses req.subscription for the tier).
+ * Sets req.quota ({ uid, routeKey, periodStart, limit }) and req.refundQuota() for failures that
+ * still end in a 2xx; each request is refunded at most once.
+ */
+export function enforceQuota(path) {
+  const routeKey = quotaKeyForPath(path);
+
+  return async (req, res, next) => {
+    if (!routeKey || !req.uid) return next(); // anonymous traffic is covered by the IP limiter
+
+    const tier = tierForSubscription(req.subscription);
+    const quota = QUOTAS[tier][routeKey];
+    const { periodStart, resetAt } = periodWindow(quota.period);
+    const ref = usageRef(req.uid, routeKey);
+
+    let result;
+    try {
+      result = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const data = snap.exists ? snap.data() : {};
+        const used = data.periodStart === periodStart ? data.count || 0 : 0;
+
+        if (used >= quota.limit) return { allowed: false, used };
+
+        tx.set(ref, { periodStart, count: used + 1, updatedAt: new Date() });
+        return { allowed: true, used: used + 1 };
+      });
+    } catch (err) {
+      // Quota storage hiccup shouldn't take the coach down — let it through and log
+      console.error("❌ Quota check failed:", req.uid, routeKey, err.message);
+      return next();
+    }
+
+    if (!result.allowed) {
+      res.set("Retry-After", String(Math.max(1, Math.ceil((Date.parse(resetAt) - Date.now()) / 1000))));
+      return res.status(429).json({
+        success: false,
+        error: `You've used all ${quota.limit} of this ${quota.period}'s ${routeKey} requests.`,
+        code: "quota_exceeded",
+        retryable: false,
+        quota: describe(routeKey, quota, result.used, resetAt),
+      });
+    }
+
+    // Failed requests — bad input included — don't count against the user
+    let refunded = false;
+    req.quota = { uid: req.uid, routeKey, periodStart, limit: quota.limit };
+    req.refundQuota = () => {
+      if (refunded) return;
+      refunded = true;
+      refundQuota(req.quota).catch(err => console.warn("⚠️ Quota refund failed:", req.uid, routeKey, err.message));
+    };
+    res.on("finish", () => {
+      if (res.statusCode < 200 || res.statusCode >= 300) req.refundQuota();
+    });
+
+    return next();
+  };
+}
+
+// Burst guard per account (the per-IP limiter is too blunt for households behind one NAT)
+export const accountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: Number(process.env.ACCOUNT_RATE_LIMIT_MAX) || 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.uid ? `uid:${req.uid}` : `ip:${req.ip}`),
+  message: { success: false, error: "Slow down a little — too many requests in a short time.", code: "rate_limited" },
+});
+
+export async function getUsageSummary(uid, subscription) {
+  const tier = tierForSubscription(subscription);
+  const routeKeys = Object.keys(QUOTAS[tier]);
+  const snaps = await db.getAll(...routeKeys.map(key => usageRef(uid, key)));
+
+  const usage = routeKeys.map((routeKey, i) => {
+    const quota = QUOTAS[tier][routeKey];
+    const { periodStart, resetAt } = periodWindow(quota.period);
+    const data = snaps[i].exists ? snaps[i].data() : {};
+    return describe(routeKey, quota, data.periodStart === periodStart ? data.count || 0 : 0, resetAt);
+  });
+
+  return { tier, usage };
+}
+
+// --------------- Route registration ----------------
+export function registerUsageRoutes(app) {
+  // GET /api/usage → "3 of 5 breakdowns left today"
+  app.get("/api/usage", requireAuth(), async (req, res) => {
+    try {
+      const userDoc = await db.collection("users").doc(req.uid).get();
+      const subscription = userDoc.exists ? userDoc.data()?.subscription || null : null;
+      const summary = await getUsageSummary(req.uid, subscription);
+      res.json({ success: true, ...summary });
+    } catch (err) {
+      console.error("❌ Failed to load usage:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to load usage." });
+    }
+  });
+}
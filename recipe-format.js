@@ -0,0 +1,60 @@
+// recipe-format.js
+
+/**
+ * 🧾 Structured recipe (recipeSchema) → the markdown /generate-instructions has always returned,
+ * so clients that only read `instructions` keep working and the grocery list parser still
+ * finds its ### Ingredients section.
+ */
+
+const FRACTIONS = [
+  [1 / 8, "⅛"], [1 / 4, "¼"], [1 / 3, "⅓"], [3 / 8, "⅜"], [1 / 2, "½"],
+  [5 / 8, "⅝"], [2 / 3, "⅔"], [3 / 4, "¾"], [7 / 8, "⅞"],
+];
+const FRACTION_TOLERANCE = 0.02;
+
+// 1.333 → "1 ⅓", 0.5 → "½", 2 → "2", 2.4 → "2.4"
+export function formatQuantity(value) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return "";
+
+  const whole = Math.floor(value);
+  const rest = value - whole;
+  if (rest < FRACTION_TOLERANCE) return String(whole);
+  if (1 - rest < FRACTION_TOLERANCE) return String(whole + 1);
+
+  const match = FRACTIONS.find(([frac]) => Math.abs(rest - frac) < FRACTION_TOLERANCE);
+  if (match) return whole ? `${whole} ${match[1]}` : match[1];
+
+  return String(Math.round(value * 10) / 10);
+}
+
+// Count-style units read better pluralized; abbreviations (tbsp, oz, g) never are
+const PLURAL_UNITS = new Set(["cup", "clove", "can", "slice", "pinch", "bunch", "sprig", "stalk", "head", "piece", "pound", "ounce"]);
+
+function unitLabel(unit, quantity) {
+  if (!unit) return "";
+  if (quantity > 1 && PLURAL_UNITS.has(unit)) return unit === "pinch" || unit === "bunch" ? `${unit}es` : `${unit}s`;
+  return unit;
+}
+
+// { quantity: 2, unit: "clove", item: "garlic", note: "minced" } → "2 cloves garlic, minced"
+export function formatIngredient({ quantity, unit, item, note }) {
+  const amount = [formatQuantity(quantity), unitLabel(unit, quantity)].filter(Boolean).join(" ");
+  return [amount, item].filter(Boolean).join(" ") + (note ? `, ${note}` : "");
+}
+
+export function renderRecipeMarkdown(recipe) {
+  const ingredients = recipe.ingredients.map(ing => `- ${formatIngredient(ing)}`);
+  const steps = recipe.steps.map((step, i) => `${i + 1}. ${step.text}`);
+  const upgrades = (recipe.upgrades || []).map(tip => `- ${tip}`);
+
+  return [
+    "### Ingredients",
+    ...ingredients,
+    "",
+    "### Instructions",
+    ...steps,
+    "",
+    "### Ben’s Chef’d Up Upgrades",
+    ...upgrades,
+  ].join("\n");
+}
@@ -0,0 +1,279 @@
+// recipes.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+import { scaleRecipe, UNIT_SYSTEMS } from "./units.js";
+import { renderRecipeMarkdown } from "./recipe-format.js";
+
+/**
+ * 📓 Recipe notebook — users/{uid}/recipes/{recipeId}
+ *   { title, summary, tags, instructions (markdown from /generate-instructions),
+ *     metadata ({ title, summary, tags } as suggested by /generate-metadata),
+ *     source: chat|planner|breakdown, sourceRef, favorite, searchTokens, createdAt, updatedAt }
+ *
+ * title/summary/tags are the user's (they start as the AI suggestion and can be edited);
+ * metadata keeps the original suggestion. searchTokens powers ?q= search.
+ * (Firestore indexes: tags CONTAINS + updatedAt DESC, searchTokens CONTAINS + updatedAt DESC)
+ */
+
+export const RECIPE_SOURCES = ["chat", "planner", "breakdown"];
+
+const PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_TAGS = 20;
+const MAX_SEARCH_TOKENS = 300;
+const MAX_INSTRUCTIONS = 20000;
+
+function recipesRef(uid) {
+  return db.collection("users").doc(uid).collection("recipes");
+}
+
+export function searchWords(text = "") {
+  return String(text)
+    .toLowerCase()
+    .normalize("NFKD").replace(/[̀-ͯ]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .split(/\s+/)
+    .filter(w => w.length > 1);
+}
+
+function buildSearchTokens({ title, summary, tags, instructions }) {
+  const tokens = new Set([
+    ...searchWords(title),
+    ...searchWords(summary),
+    ...(tags || []).flatMap(searchWords),
+    ...searchWords(instructions),
+  ]);
+  return [...tokens].slice(0, MAX_SEARCH_TOKENS);
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(t => String(t).trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+function cleanString(value, max = 500) {
+  return typeof value === "string" ? value.trim().slice(0, max) : "";
+}
+
+function serializeRecipe(doc) {
+  const data = doc.data() || {};
+  const iso = (ts) => (ts?.toDate ? ts.toDate().toISOString() : null);
+  return {
+    id: doc.id,
+    title: data.title,
+    summary: data.summary || "",
+    tags: data.tags || [],
+    instructions: data.instructions || "",
+    metadata: data.metadata || null,
+    source: data.source,
+    sourceRef: data.sourceRef || null,
+    favorite: !!data.favorite,
+    createdAt: iso(data.createdAt),
+    updatedAt: iso(data.updatedAt),
+  };
+}
+
+// Returns { error } or { data } — `partial` for PATCH (only provided fields are checked)
+function readRecipeInput(body = {}, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial) {
+    const source = cleanString(body.source, 20);
+    if (!RECIPE_SOURCES.includes(source)) {
+      return { error: `source must be one of: ${RECIPE_SOURCES.join(", ")}` };
+    }
+    data.source = source;
+    data.sourceRef = cleanString(body.sourceRef, 200) || null;
+
+    if (body.metadata && typeof body.metadata === "object") {
+      data.metadata = {
+        title: cleanString(body.metadata.title, 200),
+        summary: cleanString(body.metadata.summary, 1000),
+        tags: normalizeTags(body.metadata.tags),
+      };
+    }
+  }
+
+  // User fields fall back to the AI suggestion on create
+  const suggested = data.metadata || {};
+
+  if (!partial || body.title !== undefined) {
+    data.title = cleanString(body.title, 200) || (!partial ? suggested.title : "");
+    if (!data.title) return { error: "Recipe title is required." };
+  }
+  if (!partial || body.summary !== undefined) {
+    data.summary = cleanString(body.summary, 1000) || (!partial ? suggested.summary || "" : "");
+  }
+  if (!partial || body.tags !== undefined) {
+    data.tags = body.tags !== undefined ? normalizeTags(body.tags) : suggested.tags || [];
+  }
+  if (!partial || body.instructions !== undefined) {
+    if (body.instructions !== undefined && typeof body.instructions !== "string") {
+      return { error: "instructions must be markdown text." };
+    }
+    data.instructions = cleanString(body.instructions, MAX_INSTRUCTIONS);
+  }
+  if (body.favorite !== undefined) {
+    data.favorite = !!body.favorite;
+  }
+
+  return { data };
+}
+
+// --------------- Route registration ----------------
+export function registerRecipeRoutes(app) {
+  const auth = requireAuth();
+
+  // POST /api/recipes → save to the notebook
+  app.post("/api/recipes", auth, async (req, res) => {
+    const { data, error } = readRecipeInput(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+
+    try {
+      const ref = recipesRef(req.uid).doc();
+      await ref.set({
+        ...data,
+        favorite: !!data.favorite,
+        searchTokens: buildSearchTokens(data),
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      res.status(201).json({ success: true, recipe: serializeRecipe(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to save recipe:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to save recipe." });
+    }
+  });
+
+  /**
+   * ⚖️ POST /api/recipes/scale — scale and/or convert a structured recipe
+   * Body: { recipe (from /generate-instructions { structured: true }), servings?, units?: "metric" | "imperial" }
+   * Returns { success, recipe, instructions } — instructions is the markdown re-rendered from the result
+   */
+  app.post("/api/recipes/scale", auth, (req, res) => {
+    const { recipe, servings, units } = req.body || {};
+
+    if (!recipe || !Array.isArray(recipe.ingredients)) {
+      return res.status(400).json({ success: false, error: "A structured recipe is required." });
+    }
+    if (servings !== undefined && !(Number(servings) > 0 && Number(servings) <= 100)) {
+      return res.status(400).json({ success: false, error: "servings must be between 1 and 100." });
+    }
+    if (units !== undefined && !UNIT_SYSTEMS.includes(units)) {
+      return res.status(400).json({ success: false, error: `units must be one of: ${UNIT_SYSTEMS.join(", ")}` });
+    }
+
+    try {
+      const scaled = scaleRecipe(recipe, { servings, system: units || null });
+      const renderable = Array.isArray(scaled.steps) && scaled.steps.every(step => step?.text);
+      res.json({
+        success: true,
+        recipe: scaled,
+        instructions: renderable ? renderRecipeMarkdown(scaled) : null,
+      });
+    } catch (err) {
+      console.error("❌ Failed to scale recipe:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to scale recipe." });
+    }
+  });
+
+  // GET /api/recipes?tag=thai&q=chicken+lime&limit=20&cursor=<lastId>
+  // Firestore allows one array-contains per query, so the tag (or first search word) narrows
+  // the query and the remaining search words are matched here. A page can come back short;
+  // keep following nextCursor until it's null.
+  app.get("/api/recipes", auth, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || PAGE_SIZE, MAX_PAGE_SIZE);
+      const tag = cleanString(req.query.tag, 60).toLowerCase();
+      const terms = [...new Set(searchWords(req.query.q))];
+
+      let query = recipesRef(req.uid);
+      if (tag) query = query.where("tags", "array-contains", tag);
+      else if (terms.length) query = query.where("searchTokens", "array-contains", terms[0]);
+      query = query.orderBy("updatedAt", "desc").limit(limit + 1);
+
+      if (req.query.cursor) {
+        const cursorDoc = await recipesRef(req.uid).doc(String(req.query.cursor)).get();
+        if (!cursorDoc.exists) {
+          return res.status(400).json({ success: false, error: "Invalid cursor." });
+        }
+        query = query.startAfter(cursorDoc);
+      }
+
+      const snap = await query.get();
+      const page = snap.docs.slice(0, limit);
+      const matches = page.filter(doc => {
+        const tokens = new Set(doc.data().searchTokens || []);
+        return terms.every(t => tokens.has(t));
+      });
+
+      res.json({
+        success: true,
+        recipes: matches.map(serializeRecipe),
+        nextCursor: snap.docs.length > limit ? page[page.length - 1].id : null,
+      });
+    } catch (err) {
+      console.error("❌ Failed to list recipes:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to list recipes." });
+    }
+  });
+
+  // GET /api/recipes/:recipeId
+  app.get("/api/recipes/:recipeId", auth, async (req, res) => {
+    try {
+      const snap = await recipesRef(req.uid).doc(req.params.recipeId).get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Recipe not found." });
+      }
+      res.json({ success: true, recipe: serializeRecipe(snap) });
+    } catch (err) {
+      console.error("❌ Failed to fetch recipe:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch recipe." });
+    }
+  });
+
+  // PATCH /api/recipes/:recipeId → edit title/summary/tags/instructions/favorite
+  app.patch("/api/recipes/:recipeId", auth, async (req, res) => {
+    const { data, error } = readRecipeInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ success: false, error: "Nothing to update." });
+    }
+
+    try {
+      const ref = recipesRef(req.uid).doc(req.params.recipeId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Recipe not found." });
+      }
+
+      const merged = { ...snap.data(), ...data };
+      await ref.update({
+        ...data,
+        searchTokens: buildSearchTokens(merged),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      res.json({ success: true, recipe: serializeRecipe(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to update recipe:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to update recipe." });
+    }
+  });
+
+  // DELETE /api/recipes/:recipeId
+  app.delete("/api/recipes/:recipeId", auth, async (req, res) => {
+    try {
+      const ref = recipesRef(req.uid).doc(req.params.recipeId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Recipe not found." });
+      }
+      await ref.delete();
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Failed to delete recipe:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to delete recipe." });
+    }
+  });
+}
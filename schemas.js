@@ -0,0 +1,212 @@
+// schemas.js
+
+/**
+ * Declared output shapes for every route that returns model-generated JSON.
+ * Validated by validateSchema() in ai-json.js — keep these in sync with the prompt examples.
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const nonEmptyString = { type: "string", minLength: 1 };
+const optionalString = { type: "string", optional: true };
+const stringList = { type: "array", items: nonEmptyString };
+
+const macroNumber = { type: "number", min: 0 };
+
+export const macrosSchema = {
+  type: "object",
+  required: ["calories", "protein", "carbs", "fat"],
+  properties: {
+    calories: macroNumber,
+    protein: macroNumber,
+    carbs: macroNumber,
+    fat: macroNumber,
+  },
+};
+
+export const mealSchema = {
+  type: "object",
+  required: ["mealType", "title", "description", "tags", "macros"],
+  properties: {
+    mealType: nonEmptyString,
+    title: nonEmptyString,
+    description: nonEmptyString,
+    tags: { ...stringList, minItems: 1 },
+    macros: macrosSchema,
+    remixOf: optionalString, // saved recipe id when the meal remixes a favorite
+    components: stringList, // batch cooking mode: base component ids (batch-cooking.js)
+    leftover: {
+      type: "object",
+      required: ["date", "mealType"],
+      properties: { date: nonEmptyString, mealType: nonEmptyString, note: optionalString },
+    },
+    pantryItems: stringList, // "use what I have" mode (pantry.js)
+    toBuy: stringList,
+    portions: { // household mode: per-member portion multiplier + tweak (household.js)
+      type: "array",
+      items: {
+        type: "object",
+        required: ["member", "portion"],
+        properties: {
+          member: nonEmptyString,
+          portion: { type: "number", min: 0 },
+          note: optionalString,
+        },
+      },
+    },
+  },
+};
+
+// buildDayPlannerPrompt → [meal, ...]
+export const dayPlanSchema = {
+  type: "array",
+  minItems: 1,
+  items: mealSchema,
+};
+
+// buildWeeklyPlannerPrompt → { "YYYY-MM-DD": [meal, ...], ... }
+export const weekPlanSchema = {
+  type: "object",
+  minKeys: 1,
+  keys: { pattern: ISO_DATE, description: "an ISO date (YYYY-MM-DD)" },
+  values: dayPlanSchema,
+};
+
+// A plan as this service stores it (plans.js) — meals carry server annotations the model never
+// returns (remixOf as { id, title }, safety, portion, household portions, resolved leftovers), so
+// manual edits only require what every stored meal has and leave the rest as-is.
+export const storedMealSchema = {
+  type: "object",
+  required: ["mealType", "title"],
+  properties: {
+    mealType: nonEmptyString,
+    title: nonEmptyString,
+    description: optionalString,
+    tags: stringList,
+    macros: macrosSchema,
+  },
+};
+
+export const storedPlanSchema = {
+  type: "object",
+  minKeys: 1,
+  keys: { pattern: ISO_DATE, description: "an ISO date (YYYY-MM-DD)" },
+  values: { type: "array", items: storedMealSchema },
+};
+
+// buildWeeklyPlannerPrompt with payload.batchCook → { components, prep, days }
+export const batchPlanSchema = {
+  type: "object",
+  required: ["components", "prep", "days"],
+  properties: {
+    components: {
+      type: "array",
+      minItems: 3,
+      items: {
+        type: "object",
+        required: ["id", "name", "kind", "yield"],
+        properties: {
+          id: nonEmptyString,
+          name: nonEmptyString,
+          kind: { type: "string", enum: ["protein", "grain", "sauce", "veg", "other"] },
+          yield: nonEmptyString,
+          storage: optionalString,
+          keepsDays: { type: "number", min: 1, optional: true },
+        },
+      },
+    },
+    prep: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["date", "title", "steps"],
+        properties: {
+          date: nonEmptyString, // YYYY-MM-DD, checked by checkBatchPlan
+          title: nonEmptyString,
+          steps: {
+            type: "array",
+            minItems: 1,
+            items: {
+              type: "object",
+              required: ["text"],
+              properties: {
+                text: nonEmptyString,
+                minutes: { type: "number", min: 0, optional: true },
+                components: stringList,
+              },
+            },
+          },
+        },
+      },
+    },
+    days: weekPlanSchema,
+  },
+};
+
+// buildBreakdownPrompt
+export const breakdownSchema = {
+  type: "object",
+  required: ["dishName", "quickRead", "upgradeHeadline", "chefMoves", "resultSummary"],
+  properties: {
+    dishName: nonEmptyString,
+    quickRead: nonEmptyString,
+    mainIssue: optionalString,
+    upgradeHeadline: nonEmptyString,
+    chefMoves: { ...stringList, minItems: 1 },
+    chefNotes: optionalString,
+    resultSummary: nonEmptyString,
+    confidenceNote: optionalString,
+  },
+};
+
+// buildStructuredInstructionsPrompt → /generate-instructions { structured: true }
+const optionalMinutes = { type: "number", min: 0, optional: true };
+
+export const recipeSchema = {
+  type: "object",
+  required: ["servings", "ingredients", "steps", "upgrades"],
+  properties: {
+    servings: { type: "number", min: 1 },
+    prepMinutes: optionalMinutes,
+    cookMinutes: optionalMinutes,
+    ingredients: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["item"],
+        properties: {
+          quantity: { type: "number", min: 0, optional: true }, // null → "to taste"
+          unit: optionalString,
+          item: nonEmptyString,
+          note: optionalString,
+        },
+      },
+    },
+    steps: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["text"],
+        properties: {
+          text: nonEmptyString,
+          timerMinutes: optionalMinutes,
+        },
+      },
+    },
+    upgrades: stringList,
+  },
+};
+
+// /generate-metadata
+export const metadataSchema = {
+  type: "object",
+  required: ["title", "summary", "tags"],
+  properties: {
+    title: nonEmptyString,
+    summary: nonEmptyString,
+    tags: stringList,
+  },
+};
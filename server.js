@@ -1,35 +1,40 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import OpenAI from "openai";
 import rateLimit from "express-rate-limit";
-import admin from "firebase-admin";
-import { getFirestore } from "firebase-admin/firestore";
-import { buildSystemPrompt } from "./prompt.js"; // <-- ✅ Modular brain
+import { db, firebaseConfigured } from "./firebase.js";
+import { requireAuth, anonymousAllowed } from "./auth.js";
+import { requireEntitlement } from "./entitlements.js";
+import { buildSystemPrompt, buildPantryPrompt } from "./prompt.js"; // <-- ✅ Modular brain
 import { buildBreakdownPrompt } from "./breakdown-prompts.js";
-import {
-  buildWeeklyPlannerPrompt,
-  buildDayPlannerPrompt,
-  buildInstructionsPrompt
-} from "./planner-prompts.js";
+import { buildInstructionsPrompt, buildStructuredInstructionsPrompt } from "./planner-prompts.js";
 import Stripe from "stripe";
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 import { registerStripeWebhooks } from "./webhooks.js";
+import { generateJson } from "./ai-json.js";
+import * as llm from "./llm.js";
+import { breakdownSchema, metadataSchema, recipeSchema } from "./schemas.js";
+import { renderRecipeMarkdown } from "./recipe-format.js";
+import { scaleRecipe, resolveUnitSystem } from "./units.js";
+import { buildSafetyRules, checkRecipeSafety, checkTextSafety, safetyFlags } from "./dietary-safety.js";
+import { sendApiError, ApiError } from "./errors.js";
+import { generatePlan, swapMeal } from "./planner.js";
+import { buildGroceryList, planMeals, extractIngredientLines } from "./grocery.js";
+import { registerThreadRoutes, loadThreadHistory, appendThreadTurn } from "./threads.js";
+import { registerBreakdownRoutes, saveBreakdown } from "./breakdowns.js";
+import { registerRecipeRoutes } from "./recipes.js";
+import { registerProfileRoutes, loadFlavorProfile } from "./profiles.js";
+import { normalizeProfile } from "./profile-schema.js";
+import { registerPlanRoutes, savePlanResult, loadCurrentPlan, addPlanRevision, replaceMeal, ingredientsKey, savePlanIngredients } from "./plans.js";
+import { registerOutboxAdminRoutes, startOutboxWorker } from "./outbox.js";
+import { registerPlanJobRoutes, enqueuePlanJob, startPlanJobWorker } from "./plan-jobs.js";
+import { registerHouseholdRoutes, totalPortions } from "./household.js";
+import { registerPantryRoutes, loadPantry } from "./pantry.js";
+import { registerUsageRoutes, enforceQuota, accountLimiter, chargeQuota, refundQuota } from "./quotas.js";
 import multer from "multer";
 
 dotenv.config();
 
-console.log("🧪 Using Firebase cert path:", "/etc/secrets/firebase-service-account.json");
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert("/etc/secrets/firebase-service-account.json")
-  });
-}
-
-const db = getFirestore();
-console.log("✅ Firestore DB initialized");
-
 const app = express();
 app.set("trust proxy", 1);
 const PORT = process.env.PORT || 3000;
@@ -51,7 +56,7 @@ app.use(
       "https://fitfoodlovers.com",
       "https://www.fitfoodlovers.com"
     ],
-    methods: ["GET", "POST", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
   })
 );
@@ -65,7 +70,8 @@ app.use((req, res, next) => {
   next();
 });
 
-if (!process.env.OPENAI_API_KEY || !process.env.ALLOWED_ORIGIN) {
+// The mock LLM provider runs without an OpenAI key (local dev / tests)
+if ((llm.providerName() === "openai" && !process.env.OPENAI_API_KEY) || !process.env.ALLOWED_ORIGIN) {
   console.error("Missing required environment variables.");
   process.exit(1);
 }
@@ -74,15 +80,39 @@ registerStripeWebhooks(app);
 
 app.use(express.json());
 
+// Coarse per-IP backstop; real per-user limits live in quotas.js
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100,
+  max: Number(process.env.IP_RATE_LIMIT_MAX) || 300,
   standardHeaders: true,
   legacyHeaders: false,
   message: "Too many requests from this IP, please try again after 15 minutes",
 });
 app.use(limiter);
 
+registerThreadRoutes(app);
+registerBreakdownRoutes(app);
+registerRecipeRoutes(app);
+registerProfileRoutes(app);
+registerPlanRoutes(app);
+registerPlanJobRoutes(app);
+registerHouseholdRoutes(app);
+registerPantryRoutes(app);
+registerOutboxAdminRoutes(app);
+registerUsageRoutes(app);
+
+// Every AI route verifies the Firebase ID token, an active subscription and the user's quota
+// before any OpenAI spend; anonymous only where ANONYMOUS_AI_ROUTES says so
+function aiGuards(path) {
+  const allowAnonymous = anonymousAllowed(path);
+  return [
+    requireAuth({ allowAnonymous }),
+    requireEntitlement({ allowAnonymous }),
+    accountLimiter,
+    enforceQuota(path)
+  ];
+}
+
 // Legacy checkout routes from old "Free until Jan 1" promo.
 // Current production signup uses Stripe Payment Links instead.
 
@@ -186,20 +216,10 @@ function nextJan1UnixEastern() {
   return Math.floor(Date.UTC(year, 0, 1, 14, 0, 0) / 1000); // 14:00Z = 9:00am ET
 }
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-function stripCodeFences(text = "") {
-  return text
-    .replace(/^```json\s*/i, "")
-    .replace(/^```\s*/i, "")
-    .replace(/\s*```$/, "")
-    .trim();
-}
-
 /**
  * 📸 Breakdown Route (image upload + AI analysis)
  */
-app.post("/api/breakdown", upload.single("image"), async (req, res) => {
+app.post("/api/breakdown", aiGuards("/api/breakdown"), upload.single("image"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: "No image file received." });
@@ -217,39 +237,10 @@ app.post("/api/breakdown", upload.single("image"), async (req, res) => {
     const rawBreakdownIntent =
       typeof req.body.breakdownIntent === "string" ? req.body.breakdownIntent.trim() : "";
 
-    const uid =
-      typeof req.body.uid === "string" && req.body.uid.trim() !== ""
-        ? req.body.uid.trim()
-        : "";
+    const uid = req.uid;
 
-    let flavorProfile = null;
-
-    if (uid) {
-      try {
-        const userDoc = await db.collection("users").doc(uid).get();
-        if (userDoc.exists) {
-          flavorProfile = userDoc.data()?.flavorProfile || null;
-        }
-      } catch (err) {
-        console.warn("⚠️ Failed to load flavor profile for breakdown UID:", uid, err.message);
-      }
-    }
-
-    const profileGoals = Array.isArray(flavorProfile?.goals)
-      ? flavorProfile.goals.filter(Boolean)
-      : [];
-
-    const profilePreferences = Array.isArray(flavorProfile?.preferences)
-      ? flavorProfile.preferences.filter(Boolean)
-      : [];
-
-    const profileDislikes = Array.isArray(flavorProfile?.dislikes)
-      ? flavorProfile.dislikes.filter(Boolean)
-      : [];
-
-    const profileRestrictions = Array.isArray(flavorProfile?.dietaryRestrictions)
-      ? flavorProfile.dietaryRestrictions.filter(Boolean)
-      : [];
+    const flavorProfile = await loadFlavorProfile(uid);
+    const profileGoals = [flavorProfile.fitnessGoal, flavorProfile.culinaryGoal].filter(Boolean);
 
     const intentParts = [];
 
@@ -261,16 +252,16 @@ app.post("/api/breakdown", upload.single("image"), async (req, res) => {
       intentParts.push(`Flavor profile goals: ${profileGoals.join(", ")}.`);
     }
 
-    if (profilePreferences.length) {
-      intentParts.push(`Flavor profile preferences: ${profilePreferences.join(", ")}.`);
+    if (flavorProfile.likes.length) {
+      intentParts.push(`Flavor profile preferences: ${flavorProfile.likes.join(", ")}.`);
     }
 
-    if (profileRestrictions.length) {
-      intentParts.push(`Dietary restrictions: ${profileRestrictions.join(", ")}.`);
+    if (flavorProfile.restrictions.length) {
+      intentParts.push(`Dietary restrictions: ${flavorProfile.restrictions.join(", ")}.`);
     }
 
-    if (profileDislikes.length) {
-      intentParts.push(`Avoid or work around: ${profileDislikes.join(", ")}.`);
+    if (flavorProfile.dislikes.length) {
+      intentParts.push(`Avoid or work around: ${flavorProfile.dislikes.join(", ")}.`);
     }
 
     const breakdownIntent = intentParts.join(" ");
@@ -285,251 +276,649 @@ app.post("/api/breakdown", upload.single("image"), async (req, res) => {
 
     const systemPrompt = buildSystemPrompt();
 
-    const response = await openai.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        {
-          role: "system",
-          content: [
-            { type: "input_text", text: systemPrompt }
-          ]
-        },
-        {
-          role: "user",
-          content: [
-            { type: "input_text", text: prompt },
-            {
-              type: "input_image",
-              image_url: imageDataUrl,
-              detail: "high"
-            }
-          ]
-        }
-      ]
+    const parsed = await generateJson({
+      label: "breakdown",
+      schema: breakdownSchema,
+      generate: async (repairTurns) => {
+        const { text } = await llm.complete({
+          route: "breakdown",
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: prompt },
+            ...repairTurns
+          ],
+          images: [{ url: imageDataUrl, detail: "high" }]
+        });
+        return text;
+      }
     });
 
-    const rawText = response.output_text || "";
-    const cleanedText = stripCodeFences(rawText);
-
-    let parsed;
-    try {
-      parsed = JSON.parse(cleanedText);
-    } catch (parseError) {
-      console.error("Breakdown JSON parse failed:", cleanedText);
-      return res.status(500).json({
-        error: "AI returned an invalid breakdown format."
-      });
-    }
-
-    if (
-      !parsed.dishName ||
-      !parsed.quickRead ||
-      !parsed.upgradeHeadline ||
-      !Array.isArray(parsed.chefMoves) ||
-      !parsed.resultSummary
-    ) {
-      return res.status(500).json({
-        error: "AI returned an incomplete breakdown."
-      });
+    const breakdown = {
+      dishName: parsed.dishName,
+      quickRead: parsed.quickRead,
+      mainIssue: parsed.mainIssue || "",
+      upgradeHeadline: parsed.upgradeHeadline,
+      chefMoves: parsed.chefMoves.slice(0, 5),
+      chefNotes: parsed.chefNotes || "",
+      resultSummary: parsed.resultSummary,
+      confidenceNote:
+        parsed.confidenceNote || "Visual estimate only — exact ingredients and portions may vary."
+    };
+
+    // Signed-in users keep a history; a failed save shouldn't cost them the breakdown
+    let breakdownId = null;
+    if (uid) {
+      try {
+        breakdownId = await saveBreakdown(uid, {
+          breakdown,
+          imageBuffer: req.file.buffer,
+          imageContext,
+          intent: rawBreakdownIntent
+        });
+      } catch (err) {
+        console.error("❌ Failed to save breakdown:", uid, err.message);
+      }
     }
 
     return res.json({
       success: true,
-      breakdown: {
-        dishName: parsed.dishName,
-        quickRead: parsed.quickRead,
-        mainIssue: parsed.mainIssue || "",
-        upgradeHeadline: parsed.upgradeHeadline,
-        chefMoves: parsed.chefMoves.slice(0, 5),
-	chefNotes: parsed.chefNotes || "",
-        resultSummary: parsed.resultSummary,
-        confidenceNote:
-          parsed.confidenceNote || "Visual estimate only — exact ingredients and portions may vary."
-      }
+      breakdown,
+      ...(breakdownId ? { breakdownId } : {})
     });
 
   } catch (error) {
     console.error("Breakdown route error:", error);
-    return res.status(500).json({ error: "Server error handling breakdown request." });
+    return sendApiError(res, error, "Server error handling breakdown request.");
   }
 });
 
-/**
- * 🔁 Chat Route (memory enabled)
- */
-app.post("/", async (req, res) => {
-  const { messages, uid } = req.body;
-
-  if (!messages || !Array.isArray(messages)) {
-    return res.status(400).json({ error: "Messages array is required" });
+// The coach can cook from the pantry; a failed read just means chat without it
+async function loadPantryPrompt(uid) {
+  try {
+    return buildPantryPrompt(await loadPantry(uid));
+  } catch (err) {
+    console.warn("⚠️ Failed to load pantry for chat:", uid, err.message);
+    return "";
   }
+}
+
+// Shared by the JSON and streaming chat routes.
+// Returns { error: { status, body } } or the conversation ready to send to the model.
+async function prepareChatTurn(req) {
+  const { messages, threadId, message } = req.body;
+  const uid = req.uid;
+
+  let history = [];
+  let userTurn = "";
+
+  if (threadId) {
+    if (!uid) {
+      return { error: { status: 401, body: { success: false, error: "Sign in to use saved conversations.", code: "auth_required" } } };
+    }
+
+    userTurn = typeof message === "string" ? message.trim() : "";
+    if (!userTurn) {
+      return { error: { status: 400, body: { success: false, error: "Message is required" } } };
+    }
 
-  let flavorProfile = null;
-  
-  if (uid && typeof uid === "string" && uid.trim() !== "") {
     try {
-      const userDoc = await db.collection("users").doc(uid).get();
-      if (userDoc.exists) {
-        flavorProfile = userDoc.data()?.flavorProfile || null;
+      const loaded = await loadThreadHistory(uid, String(threadId));
+      if (!loaded) {
+        return { error: { status: 404, body: { success: false, error: "Thread not found." } } };
       }
+      history = loaded.messages;
     } catch (err) {
-      console.warn("⚠️ Failed to load flavor profile for UID:", uid, err.message);
+      console.error("❌ Failed to load thread:", threadId, err.message);
+      return { error: { status: 500, body: { success: false, error: "Failed to load conversation." } } };
     }
+  } else if (!messages || !Array.isArray(messages)) {
+    return { error: { status: 400, body: { error: "Messages array is required" } } };
   }
 
+  const flavorProfile = await loadFlavorProfile(uid);
+  const pantryPrompt = uid ? await loadPantryPrompt(uid) : "";
+
+  const conversation = threadId
+    ? [...history, { role: "user", content: userTurn }]
+    : messages;
+
+  return {
+    uid,
+    threadId: threadId ? String(threadId) : null,
+    userTurn,
+    safetyRules: buildSafetyRules(flavorProfile),
+    messages: [
+      { role: "system", content: buildSystemPrompt(flavorProfile) },
+      ...(pantryPrompt ? [{ role: "system", content: pantryPrompt }] : []),
+      ...conversation
+    ],
+  };
+}
+
+async function saveChatTurn(turn, reply) {
+  if (!turn.threadId) return;
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: buildSystemPrompt(flavorProfile)
-        },
-        ...messages
-      ],
-      temperature: 0.7,
-      max_tokens: 1000,
-    });
+    await appendThreadTurn(turn.uid, turn.threadId, turn.userTurn, reply);
+  } catch (err) {
+    // Still hand back the reply — the user shouldn't lose it over a write failure
+    console.error("❌ Failed to save thread turn:", turn.threadId, err.message);
+  }
+}
+
+/**
+ * 🔁 Chat Route (memory enabled)
+ * - Legacy: client sends the full `messages` array
+ * - Threaded: client sends `threadId` + `message`; history is loaded from and saved to Firestore
+ */
+app.post("/", aiGuards("/"), async (req, res) => {
+  const turn = await prepareChatTurn(req);
+  if (turn.error) {
+    return res.status(turn.error.status).json(turn.error.body);
+  }
+
+  try {
+    let { text: reply } = await llm.complete({ route: "chat", messages: turn.messages });
+
+    // Suggested something they can't eat → one rewrite, then flag whatever is left
+    const problems = checkTextSafety(reply, turn.safetyRules, { prose: true });
+    if (problems.length) {
+      console.warn("⚠️ Chat reply unsafe for profile, rewriting:", problems);
+      ({ text: reply } = await llm.complete({
+        route: "chat",
+        messages: [
+          ...turn.messages,
+          { role: "assistant", content: reply },
+          { role: "system", content: `Your last reply can't be sent:\n${problems.map(p => `- ${p}`).join("\n")}\nRewrite it for the user without those foods. Don't mention this note.` }
+        ]
+      }));
+    }
+    const safety = safetyFlags(reply, turn.safetyRules, { prose: true });
+
+    await saveChatTurn(turn, reply);
 
     res.json({
       success: true,
-      reply: completion.choices[0].message.content,
+      reply,
+      ...(turn.threadId ? { threadId: turn.threadId } : {}),
+      ...(safety ? { safety } : {}),
     });
 
   } catch (error) {
     console.error("OpenAI API Error:", error.message || error);
-    res.status(500).json({ success: false, error: "Error processing your request." });
+    sendApiError(res, error, "Error processing your request.");
+  }
+});
+
+/**
+ * 📡 Streaming Chat Route (Server-Sent Events)
+ * Same body as POST / — replies arrive as events:
+ *   event: token  data: { "delta": "..." }
+ *   event: done   data: { "reply": "...", "usage": {...}, "threadId": "...", "safety"?: {...} }
+ * Tokens are already on screen, so an unsafe reply can't be rewritten here — `safety` flags it.
+ *   event: error  data: { "error": "..." }
+ */
+app.post("/chat/stream", aiGuards("/chat/stream"), async (req, res) => {
+  const turn = await prepareChatTurn(req);
+  if (turn.error) {
+    return res.status(turn.error.status).json(turn.error.body);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Client went away → stop paying for tokens nobody will read
+  const upstream = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  let reply = "";
+
+  try {
+    const { usage } = await llm.stream({
+      route: "chat",
+      messages: turn.messages,
+      signal: upstream.signal,
+      onDelta: (delta) => {
+        reply += delta;
+        sendEvent("token", { delta });
+      }
+    });
+
+    await saveChatTurn(turn, reply);
+    const safety = safetyFlags(reply, turn.safetyRules, { prose: true });
+
+    sendEvent("done", {
+      success: true,
+      reply,
+      usage,
+      ...(turn.threadId ? { threadId: turn.threadId } : {}),
+      ...(safety ? { safety } : {}),
+    });
+    res.end();
+
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      console.log("📴 Chat stream aborted by client after", reply.length, "chars");
+      return;
+    }
+    console.error("OpenAI Stream Error:", error.message || error);
+    req.refundQuota?.(); // the 200 already went out, so enforceQuota can't tell this one failed
+    sendEvent("error", error instanceof ApiError
+      ? { success: false, error: error.message, code: error.code, retryable: error.retryable, retryAfter: error.retryAfter }
+      : { success: false, error: "Error processing your request.", code: "server_error", retryable: false });
+    res.end();
   }
 });
 
 /**
  * 📅 New /generate-week-plan route
+ * Body: { payload, detailed?, profile?, planId? } — `detailed` returns
+ * { success, plan, macros, favorites, planId, revision } instead of the bare ISO-keyed plan.
+ * The saved Flavor Profile is used for signed-in users; a body `profile` only fills in when
+ * there is none (anonymous / older clients).
+ * Signed-in plans are saved (plans.js); passing planId saves a new revision of that plan instead
+ * (404 when there's no such plan — checked before generating).
+ * `payload.household: true` (signed-in only) plans shared meals for the user's household (household.js).
+ * `payload.usePantry: true` (signed-in only) cooks from the pantry and adds a `pantry` report
+ * (used / unusedExpiring / toBuy) to the detailed response (pantry.js).
+ * `payload.batchCook: true` plans around prepped base components with explicit leftovers and adds
+ * `batch` ({ components, prep }) to the detailed response (batch-cooking.js); `prepDays` picks the sessions.
+ * `async: true` (signed-in only) answers 202 { success, jobId, status } right away and generates
+ * in the background — follow it via /api/plan-jobs/:jobId or its /events stream (plan-jobs.js).
  */
-app.post("/generate-week-plan", async (req, res) => {
+app.post("/generate-week-plan", aiGuards("/generate-week-plan"), async (req, res) => {
   try {
-    const { profile, payload } = req.body;
+    const { payload, detailed } = req.body;
 
-    if (!profile || !payload) {
+    if (!payload) {
       return res.status(400).json({ success: false, error: "Missing data." });
     }
 
-    const { mode, meals, cravings, tags, specialPlans, useFavorites } = payload;
+    if ((payload.household || payload.usePantry) && !req.uid) {
+      return res.status(401).json({ success: false, error: "Sign in to plan for your household or from your pantry.", code: "auth_required" });
+    }
 
-    const userMessage = buildWeeklyPlannerPrompt(profile, payload);
+    if (req.body.planId && req.uid && !(await loadCurrentPlan(req.uid, req.body.planId))) {
+      return res.status(404).json({ success: false, error: "Plan not found." });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: buildSystemPrompt(profile) },
-        { role: "user", content: userMessage }
-      ],
-      temperature: 0.7,
-      max_tokens: 1500,
-    });
+    const profile = await loadFlavorProfile(req.uid, req.body.profile);
 
-    let result = completion.choices[0].message.content.trim();
-    if (result.startsWith("```")) {
-      result = result.replace(/```(?:json)?/i, "").replace(/```$/, "").trim();
+    if (req.body.async) {
+      if (!req.uid) {
+        return res.status(401).json({ success: false, error: "Sign in to generate plans in the background.", code: "auth_required" });
+      }
+      const jobId = await enqueuePlanJob({ uid: req.uid, kind: "week", profile, payload, planId: req.body.planId || null, quota: req.quota });
+      return res.status(202).json({ success: true, jobId, status: "queued" });
     }
-    
-    const plan = JSON.parse(result);
-    const isoPlan = plan; // GPT now returns ISO-keyed plan already
-    
+
+    const result = await generatePlan({ kind: "week", uid: req.uid, profile, payload });
+    const saved = await savePlanResult(req.uid, { kind: "week", planId: req.body.planId, plan: result.plan, payload, batch: result.batch });
+
     // ✅ Send the ISO-keyed plan to the frontend
-    res.json(isoPlan);
+    res.json(detailed ? { success: true, ...result, ...saved } : result.plan);
 
   } catch (error) {
     console.error("❌ Failed to generate weekly plan:", error.message || error);
-    res.status(500).json({ success: false, error: "Failed to generate meal plan." });
+    sendApiError(res, error, "Failed to generate meal plan.");
   }
 });
 
 /**
  * 📅 New /generate-day-plan route
+ * Same body as /generate-week-plan; with planId the new day replaces that date in the saved plan.
  */
-app.post("/generate-day-plan", async (req, res) => {
+app.post("/generate-day-plan", aiGuards("/generate-day-plan"), async (req, res) => {
   try {
-    const { profile, payload } = req.body;
+    const { payload, detailed } = req.body;
 
-    if (!profile || !payload) {
+    if (!payload) {
       return res.status(400).json({ success: false, error: "Missing data." });
     }
 
-    const { meals, cravings, tags, specialPlans, useFavorites } = payload;
+    if ((payload.household || payload.usePantry) && !req.uid) {
+      return res.status(401).json({ success: false, error: "Sign in to plan for your household or from your pantry.", code: "auth_required" });
+    }
 
-    const userMessage = buildDayPlannerPrompt(profile, payload);
+    if (req.body.planId && req.uid && !(await loadCurrentPlan(req.uid, req.body.planId))) {
+      return res.status(404).json({ success: false, error: "Plan not found." });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: buildSystemPrompt(profile) },
-        { role: "user", content: userMessage }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000,
-    });
+    const profile = await loadFlavorProfile(req.uid, req.body.profile);
+    const result = await generatePlan({ kind: "day", uid: req.uid, profile, payload });
+    const saved = await savePlanResult(req.uid, { kind: "day", planId: req.body.planId, plan: result.plan, payload });
+
+    res.json(detailed ? { success: true, ...result, ...saved } : result.plan);
+
+  } catch (error) {
+    console.error("❌ Failed to generate day plan:", error.message || error);
+    sendApiError(res, error, "Failed to generate day plan.");
+  }
+});
 
-    let result = completion.choices[0].message.content.trim();
-    if (result.startsWith("```")) {
-      result = result.replace(/```(?:json)?/i, "").replace(/```$/, "").trim();
+/**
+ * 🔁 /generate-meal-swap — replace one meal inside an existing plan
+ * Body: { plan (ISO-keyed) | planId, date, mealType, reason?, payload?, profile? }
+ * Returns { success, date, mealType, meal, replaced, macros } — only the new meal; the client
+ * drops it into its copy of the plan. With planId the saved plan is used and the swap is
+ * stored as a new revision ({ planId, revision } in the response).
+ */
+app.post("/generate-meal-swap", aiGuards("/generate-meal-swap"), async (req, res) => {
+  try {
+    const { planId, date, mealType, reason, payload } = req.body;
+    let { plan } = req.body;
+
+    if (planId) {
+      if (!req.uid) {
+        return res.status(401).json({ success: false, error: "Sign in to use saved plans.", code: "auth_required" });
+      }
+      plan = await loadCurrentPlan(req.uid, planId);
+      if (!plan) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+    }
+
+    if (!plan || typeof plan !== "object" || !date || !mealType) {
+      return res.status(400).json({ success: false, error: "Missing data." });
     }
 
-    const plan = JSON.parse(result);
+    const profile = await loadFlavorProfile(req.uid, req.body.profile);
 
-    // Wrap in today's ISO key so frontend expects same structure
-    const iso = payload.targetDate || new Date().toISOString().split("T")[0];
-    const isoPlan = { [iso]: plan };
+    const result = await swapMeal({
+      uid: req.uid,
+      profile,
+      plan,
+      date,
+      mealType,
+      reason: typeof reason === "string" ? reason.trim().slice(0, 300) : "",
+      payload: payload || {}
+    });
 
-    res.json(isoPlan);
+    let saved = null;
+    if (planId) {
+      saved = await addPlanRevision(req.uid, String(planId), {
+        source: "swap",
+        note: `${result.mealType} on ${result.date}: ${result.replaced} → ${result.meal.title}`,
+        update: (current) => replaceMeal(current, result.date, result.mealType, result.meal),
+      });
+    }
+
+    res.json({ success: true, ...result, ...(saved ? { planId: saved.planId, revision: saved.revision } : {}) });
 
   } catch (error) {
-    console.error("❌ Failed to generate day plan:", error.message || error);
-    res.status(500).json({ success: false, error: "Failed to generate day plan." });
+    console.error("❌ Failed to swap meal:", error.message || error);
+    sendApiError(res, error, "Failed to swap meal.");
   }
 });
 
+// Markdown recipe (### Ingredients / ### Instructions / ### Ben’s Chef’d Up Upgrades)
+// A recipe that breaks a restriction or dislike gets one rewrite; if it still does it's returned with `safety` flags
+const INSTRUCTION_ATTEMPTS = 2;
+
+async function generateInstructions({ title, flavorProfile = {}, tags = [], plannerInput = {} }) {
+  const userMessage = buildInstructionsPrompt(title, flavorProfile, tags, plannerInput);
+  const safetyRules = buildSafetyRules(flavorProfile);
+  let repairTurns = [];
+  let output = "";
+
+  for (let attempt = 1; attempt <= INSTRUCTION_ATTEMPTS; attempt++) {
+    const { text } = await llm.complete({
+      route: "instructions",
+      messages: [
+        { role: "system", content: buildSystemPrompt(flavorProfile) },
+        { role: "user", content: userMessage },
+        ...repairTurns
+      ]
+    });
+
+    output = text.trim();
+
+    if (output.startsWith("```")) {
+      output = output.replace(/```(?:markdown)?/i, "").replace(/```$/, "").trim();
+    }
+
+    const problems = checkTextSafety(output, safetyRules);
+    if (!problems.length) return { instructions: output, safety: null };
+
+    console.warn(`⚠️ [instructions] attempt ${attempt}/${INSTRUCTION_ATTEMPTS} unsafe for profile:`, problems);
+    repairTurns = [
+      { role: "assistant", content: output },
+      { role: "user", content: `This recipe can't be used as written:\n${problems.map(p => `- ${p}`).join("\n")}\n\nRewrite the full recipe without those ingredients, in the same markdown format.` }
+    ];
+  }
+
+  return { instructions: output, safety: safetyFlags(output, safetyRules) };
+}
+
+// Same recipe as JSON (recipeSchema) + the markdown rendered from it
+async function generateStructuredRecipe({ title, flavorProfile = {}, tags = [], plannerInput = {} }) {
+  const userMessage = buildStructuredInstructionsPrompt(title, flavorProfile, tags, plannerInput);
+  const safetyRules = buildSafetyRules(flavorProfile);
+
+  const generated = await generateJson({
+    label: "recipe",
+    schema: recipeSchema,
+    check: (recipe) => checkRecipeSafety(recipe, safetyRules),
+    softCheck: true,
+    generate: async (repairTurns) => {
+      const { text } = await llm.complete({
+        route: "recipe",
+        messages: [
+          { role: "system", content: buildSystemPrompt(flavorProfile) },
+          { role: "user", content: userMessage },
+          ...repairTurns
+        ]
+      });
+      return text;
+    }
+  });
+
+  // Quantities are re-expressed in the profile's units even if the model drifted
+  const system = resolveUnitSystem(flavorProfile);
+  const numbered = {
+    ...generated,
+    steps: generated.steps.map((step, i) => ({ step: i + 1, ...step }))
+  };
+  const recipe = system ? scaleRecipe(numbered, { system }) : numbered;
+  const instructions = renderRecipeMarkdown(recipe);
+
+  return { recipe, instructions, safety: safetyFlags(instructions, safetyRules) };
+}
+
 /**
  * 👨🏻‍🍳 New /generate-instructions route
+ * Body: { title, tags?, plannerInput?, structured?, flavorProfile? (used only without a saved profile) }
+ * Returns { instructions } (markdown); with `structured: true` also { recipe } — ingredients,
+ * numbered steps with timers, upgrades, servings and prep/cook minutes — and the markdown is
+ * rendered from that recipe so both always agree.
+ * `safety: { ok: false, flags }` is added when the recipe still breaks a restriction or dislike.
  */
-app.post("/generate-instructions", async (req, res) => {
-  const { title, tags = [], flavorProfile = {}, plannerInput = {} } = req.body;
+app.post("/generate-instructions", aiGuards("/generate-instructions"), async (req, res) => {
+  const { title, tags = [], plannerInput = {}, structured } = req.body;
 
   if (!title) {
     return res.status(400).json({ success: false, error: "Missing meal title" });
   }
 
-  console.log("📥 /generate-instructions payload:", { title, tags, plannerInput });
+  const flavorProfile = await loadFlavorProfile(req.uid, req.body.flavorProfile);
+
+  console.log("📥 /generate-instructions payload:", { title, tags, plannerInput, structured: !!structured });
 
   try {
-    const userMessage = buildInstructionsPrompt(title, flavorProfile, tags, plannerInput);
+    if (structured) {
+      const { recipe, instructions, safety } = await generateStructuredRecipe({ title, flavorProfile, tags, plannerInput });
+      return res.json({ instructions, recipe, ...(safety ? { safety } : {}) });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        { role: "system", content: buildSystemPrompt(flavorProfile) },
-        { role: "user", content: userMessage }
-      ],
-      temperature: 0.7,
-      max_tokens: 1000
+    const { instructions, safety } = await generateInstructions({ title, flavorProfile, tags, plannerInput });
+
+    res.json({ instructions, ...(safety ? { safety } : {}) });
+  } catch (error) {
+    console.error("❌ Error generating instructions:", error.message);
+    sendApiError(res, error, "Failed to generate meal instructions.");
+  }
+});
+
+/**
+ * 🛒 Grocery list for a generated plan
+ * Body: { plan } (ISO-keyed, as returned by /generate-week-plan) or { planId } (saved plan),
+ *       optional { includePantryStaples = true, pantryStaples: [...] }
+ * Meals that already carry `instructions` markdown are parsed as-is; the rest get
+ * ingredient lists generated with buildInstructionsPrompt. Household meals (with `portions`)
+ * always get a one-portion list scaled up to the whole household's portions.
+ * With planId, generated lists are cached on the saved plan (plans.js savePlanIngredients) and
+ * reused, so asking again costs nothing and returns the same list. Each generated list costs
+ * one quota unit and a call generates at most GROCERY_MAX_GENERATED; meals left over come back
+ * in `pendingMeals` (complete: false) — call again to fill them in.
+ */
+const GROCERY_CONCURRENCY = 3;
+const GROCERY_MAX_GENERATED = 9;
+
+app.post("/api/grocery-list", aiGuards("/api/grocery-list"), async (req, res) => {
+  const { planId, includePantryStaples = true } = req.body;
+  let { plan } = req.body;
+  const uid = req.uid;
+
+  let userData = {};
+  if (uid) {
+    try {
+      const userDoc = await db.collection("users").doc(uid).get();
+      userData = userDoc.exists ? userDoc.data() || {} : {};
+    } catch (err) {
+      console.warn("⚠️ Failed to load user for grocery list:", uid, err.message);
+    }
+  }
+
+  try {
+    let cached = null;
+    if (!plan && planId) {
+      if (!uid) {
+        return res.status(401).json({ success: false, error: "Sign in to use saved plans.", code: "auth_required" });
+      }
+      const planDoc = await db.collection("users").doc(uid).collection("plans").doc(String(planId)).get();
+      if (!planDoc.exists) {
+        return res.status(404).json({ success: false, error: "Plan not found." });
+      }
+      plan = planDoc.data()?.plan;
+      cached = planDoc.data()?.ingredients || {};
+    }
+
+    if (!plan || typeof plan !== "object" || Array.isArray(plan)) {
+      return res.status(400).json({ success: false, error: "Missing plan or planId." });
+    }
+
+    const flavorProfile = normalizeProfile(userData.flavorProfile);
+
+    const entries = planMeals(plan).map(({ iso, meal }) => {
+      // Household meals: list one standard portion, then scale by everyone's portions
+      const household = Array.isArray(meal.portions) && meal.portions.length > 0;
+      const hit = cached?.[ingredientsKey(iso, meal)];
+      let lines = null;
+      if (!household && typeof meal.instructions === "string" && meal.instructions.trim()) {
+        lines = extractIngredientLines(meal.instructions);
+      } else if (Array.isArray(hit?.lines) && !!hit.onePortion === household) {
+        lines = hit.lines;
+      }
+      return { iso, meal, household, lines };
     });
 
-    let output = completion.choices[0].message.content.trim();
+    // One unit per list generated, on top of the request's own
+    const missing = entries.filter(e => !e.lines);
+    const wanted = Math.min(missing.length, GROCERY_MAX_GENERATED);
+    let granted = wanted;
+    if (req.quota && wanted) {
+      try {
+        granted = await chargeQuota(req.quota, wanted);
+      } catch (err) {
+        console.error("❌ Quota check failed:", uid, "groceryList", err.message);
+      }
+    }
+    if (wanted && !granted && !entries.some(e => e.lines)) {
+      return res.status(429).json({
+        success: false,
+        error: "You've used up today's grocery list generations. Lists you've already built stay free.",
+        code: "quota_exceeded",
+        retryable: false,
+      });
+    }
+    const toGenerate = missing.slice(0, granted);
+
+    // Generate missing ingredient lists a few at a time; one failure doesn't sink the rest
+    const fresh = {};
+    const failures = [];
+    for (let i = 0; i < toGenerate.length; i += GROCERY_CONCURRENCY) {
+      await Promise.all(toGenerate.slice(i, i + GROCERY_CONCURRENCY).map(async (entry) => {
+        const { meal, household } = entry;
+        try {
+          const { instructions } = await generateInstructions({
+            title: meal.title,
+            flavorProfile,
+            tags: Array.isArray(meal.tags) ? meal.tags : [],
+            plannerInput: household
+              ? { description: meal.description, servings: 1, note: "Ingredient amounts for exactly one portion." }
+              : { description: meal.description }
+          });
+          entry.lines = extractIngredientLines(instructions);
+          if (entry.lines.length) fresh[ingredientsKey(entry.iso, meal)] = { lines: entry.lines, onePortion: household };
+        } catch (err) {
+          console.warn("⚠️ Grocery ingredients failed for", meal.title, err.message || err);
+          failures.push(err);
+        }
+      }));
+    }
 
-    if (output.startsWith("```")) {
-      output = output.replace(/```(?:markdown)?/i, "").replace(/```$/, "").trim();
+    if (failures.length && req.quota) {
+      refundQuota(req.quota, failures.length).catch(err => console.warn("⚠️ Quota refund failed:", uid, "groceryList", err.message));
+    }
+    if (failures.length && !entries.some(e => e.lines)) throw failures[0];
+
+    if (planId && uid && Object.keys(fresh).length) {
+      await savePlanIngredients(uid, planId, fresh)
+        .catch(err => console.warn("⚠️ Failed to cache grocery ingredients:", uid, planId, err.message));
     }
 
-    res.json({ instructions: output });
+    const ready = entries.filter(e => e.lines);
+    const meals = ready.map(({ meal, household, lines }) => ({
+      title: meal.title,
+      ingredients: lines,
+      servings: household ? totalPortions(meal) : 1,
+    }));
+
+    const pantryStaples = Array.isArray(req.body.pantryStaples)
+      ? req.body.pantryStaples
+      : Array.isArray(userData.pantryStaples) ? userData.pantryStaples : [];
+
+    const groceryList = buildGroceryList(meals, { pantryStaples, includePantryStaples });
+    const pending = entries.filter(e => !e.lines);
+
+    res.json({
+      success: true,
+      groceryList,
+      mealsWithoutIngredients: meals.filter(m => !m.ingredients.length).map(m => m.title),
+      complete: !pending.length,
+      ...(pending.length ? { pendingMeals: pending.map(({ iso, meal }) => ({ date: iso, mealType: meal.mealType, title: meal.title })) } : {}),
+    });
+
   } catch (error) {
-    console.error("❌ Error generating instructions:", error.message);
-    res.status(500).json({ error: "Failed to generate meal instructions." });
+    console.error("❌ Failed to build grocery list:", error.message || error);
+    sendApiError(res, error, "Failed to build grocery list.");
   }
 });
 
 /**
  * ✍️ Metadata Summarizer
  */
-app.post("/generate-metadata", async (req, res) => {
+app.post("/generate-metadata", aiGuards("/generate-metadata"), async (req, res) => {
   const { content } = req.body;
 
   if (!content || typeof content !== "string") {
@@ -537,12 +926,16 @@ app.post("/generate-metadata", async (req, res) => {
   }
 
   try {
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "system",
-          content: `You are an assistant that summarizes user-generated text and suggests metadata for saving. 
+    const metadata = await generateJson({
+      label: "metadata",
+      schema: metadataSchema,
+      generate: async (repairTurns) => {
+        const { text } = await llm.complete({
+          route: "metadata",
+          messages: [
+            {
+              role: "system",
+              content: `You are an assistant that summarizes user-generated text and suggests metadata for saving. 
 
 Return only valid JSON:
 {
@@ -550,38 +943,28 @@ Return only valid JSON:
   "summary": "...",
   "tags": ["...", "..."]
 }`
-        },
-        {
-          role: "user",
-          content: content
-        }
-      ],
-      temperature: 0.5,
-      max_tokens: 200
+            },
+            {
+              role: "user",
+              content: content
+            },
+            ...repairTurns
+          ]
+        });
+        return text;
+      }
     });
 
-    let responseText = completion.choices[0].message.content.trim();
-    if (responseText.startsWith("```")) {
-      responseText = responseText.replace(/```(?:json)?\s*/i, "").replace(/```$/, "").trim();
-    }
-
-    let metadata;
-    try {
-      metadata = JSON.parse(responseText);
-    } catch (err) {
-      console.error("❌ Failed to parse metadata:", responseText);
-      return res.status(500).json({ success: false, error: "Failed to parse AI metadata." });
-    }
-
-    if (!metadata.title || !metadata.summary || !Array.isArray(metadata.tags)) {
-      return res.status(500).json({ success: false, error: "Incomplete metadata returned." });
-    }
-
-    res.json({ success: true, ...metadata });
+    res.json({
+      success: true,
+      title: metadata.title,
+      summary: metadata.summary,
+      tags: metadata.tags
+    });
 
   } catch (error) {
     console.error("OpenAI Metadata Error:", error);
-    res.status(500).json({ success: false, error: "Failed to generate metadata." });
+    sendApiError(res, error, "Failed to generate metadata.");
   }
 });
 
@@ -623,4 +1006,18 @@ app.get("/health", (req, res) => {
 
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`Server listening on port ${PORT}`);
+
+  // Offline (mock provider, no cert or emulators) there's no Firestore for the workers to poll
+  if (!firebaseConfigured()) {
+    console.warn("⚠️ No Firebase credentials or emulators — outbox and plan job workers not started");
+    return;
+  }
+  // Set OUTBOX_WORKER=off on instances that shouldn't deliver CRM syncs
+  if (process.env.OUTBOX_WORKER !== "off") {
+    startOutboxWorker();
+  }
+  // PLAN_JOB_WORKER=off keeps async week plans queued until an instance with the worker picks them up
+  if (process.env.PLAN_JOB_WORKER !== "off") {
+    startPlanJobWorker();
+  }
 });
@@ -0,0 +1,200 @@
+// threads.js
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { requireAuth } from "./auth.js";
+
+/**
+ * 💬 Chat threads — stored per user so a coaching conversation follows them across devices
+ *   users/{uid}/threads/{threadId}                      { title, createdAt, updatedAt, messageCount }
+ *   users/{uid}/threads/{threadId}/messages/{messageId} { role, content, createdAt }
+ */
+
+const DEFAULT_TITLE = "New chat";
+const HISTORY_LIMIT = 40;   // turns sent back to the model per request
+const LIST_LIMIT = 50;
+
+function threadsRef(uid) {
+  return db.collection("users").doc(uid).collection("threads");
+}
+
+function toIso(ts) {
+  return ts?.toDate ? ts.toDate().toISOString() : null;
+}
+
+function serializeThread(doc) {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    title: data.title || DEFAULT_TITLE,
+    messageCount: data.messageCount || 0,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+  };
+}
+
+function serializeMessage(doc) {
+  const data = doc.data() || {};
+  return {
+    id: doc.id,
+    role: data.role,
+    content: data.content,
+    createdAt: toIso(data.createdAt),
+  };
+}
+
+function cleanTitle(title) {
+  return typeof title === "string" ? title.trim().slice(0, 120) : "";
+}
+
+// --------------- helpers used by the chat route ----------------
+
+// Returns { thread, messages } in chronological order, or null when the thread doesn't exist
+export async function loadThreadHistory(uid, threadId, limit = HISTORY_LIMIT) {
+  const ref = threadsRef(uid).doc(threadId);
+  const snap = await ref.get();
+  if (!snap.exists) return null;
+
+  const recent = await ref.collection("messages")
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+
+  const messages = recent.docs
+    .map(d => d.data())
+    .reverse()
+    .map(({ role, content }) => ({ role, content }));
+
+  return { thread: serializeThread(snap), messages };
+}
+
+// Appends the user turn + assistant reply in one batch and bumps the thread metadata
+export async function appendThreadTurn(uid, threadId, userContent, replyContent) {
+  const ref = threadsRef(uid).doc(threadId);
+  const messagesRef = ref.collection("messages");
+  const snap = await ref.get();
+
+  // Timestamps are set explicitly so the user turn always sorts before the reply
+  const now = Date.now();
+  const batch = db.batch();
+  batch.set(messagesRef.doc(), {
+    role: "user",
+    content: userContent,
+    createdAt: new Date(now),
+  });
+  batch.set(messagesRef.doc(), {
+    role: "assistant",
+    content: replyContent,
+    createdAt: new Date(now + 1),
+  });
+
+  const update = {
+    updatedAt: FieldValue.serverTimestamp(),
+    messageCount: FieldValue.increment(2),
+  };
+
+  // First turn names an untitled thread
+  if (!snap.data()?.title) {
+    update.title = cleanTitle(userContent).slice(0, 60) || DEFAULT_TITLE;
+  }
+
+  batch.set(ref, update, { merge: true });
+  await batch.commit();
+}
+
+// --------------- Route registration ----------------
+export function registerThreadRoutes(app) {
+  const auth = requireAuth();
+
+  // POST /api/threads → create an empty thread
+  app.post("/api/threads", auth, async (req, res) => {
+    try {
+      const ref = threadsRef(req.uid).doc();
+      await ref.set({
+        title: cleanTitle(req.body?.title),
+        messageCount: 0,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      const snap = await ref.get();
+      res.status(201).json({ success: true, thread: serializeThread(snap) });
+    } catch (err) {
+      console.error("❌ Failed to create thread:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to create thread." });
+    }
+  });
+
+  // GET /api/threads → most recently active first
+  app.get("/api/threads", auth, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || LIST_LIMIT, LIST_LIMIT);
+      const snap = await threadsRef(req.uid)
+        .orderBy("updatedAt", "desc")
+        .limit(limit)
+        .get();
+      res.json({ success: true, threads: snap.docs.map(serializeThread) });
+    } catch (err) {
+      console.error("❌ Failed to list threads:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to list threads." });
+    }
+  });
+
+  // GET /api/threads/:threadId → thread + full message history
+  app.get("/api/threads/:threadId", auth, async (req, res) => {
+    try {
+      const ref = threadsRef(req.uid).doc(req.params.threadId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Thread not found." });
+      }
+
+      const messages = await ref.collection("messages").orderBy("createdAt", "asc").get();
+      res.json({
+        success: true,
+        thread: serializeThread(snap),
+        messages: messages.docs.map(serializeMessage),
+      });
+    } catch (err) {
+      console.error("❌ Failed to fetch thread:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to fetch thread." });
+    }
+  });
+
+  // PATCH /api/threads/:threadId → rename
+  app.patch("/api/threads/:threadId", auth, async (req, res) => {
+    const title = cleanTitle(req.body?.title);
+    if (!title) {
+      return res.status(400).json({ success: false, error: "Missing thread title." });
+    }
+
+    try {
+      const ref = threadsRef(req.uid).doc(req.params.threadId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Thread not found." });
+      }
+
+      await ref.update({ title, updatedAt: FieldValue.serverTimestamp() });
+      res.json({ success: true, thread: serializeThread(await ref.get()) });
+    } catch (err) {
+      console.error("❌ Failed to rename thread:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to rename thread." });
+    }
+  });
+
+  // DELETE /api/threads/:threadId → thread + all of its messages
+  app.delete("/api/threads/:threadId", auth, async (req, res) => {
+    try {
+      const ref = threadsRef(req.uid).doc(req.params.threadId);
+      const snap = await ref.get();
+      if (!snap.exists) {
+        return res.status(404).json({ success: false, error: "Thread not found." });
+      }
+
+      await db.recursiveDelete(ref);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("❌ Failed to delete thread:", err.message || err);
+      res.status(500).json({ success: false, error: "Failed to delete thread." });
+    }
+  });
+}
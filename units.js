@@ -0,0 +1,193 @@
+// units.js
+import { UNIT_FAMILIES, unitFamily, normalizeUnit, parseQuantity, ingredientKey } from "./ingredients.js";
+
+/**
+ * ⚖️ Recipe scaling + metric/imperial conversion for structured recipes (recipeSchema).
+ * - Quantities can arrive as numbers or text ("1 ⅓", "1 1/2")
+ * - Staples with a known density convert between volume and weight
+ *   (metric cooks weigh flour and rice; US cooks cup them)
+ * - Results are rounded to what you'd actually measure: "1 ⅓ cups", "2 tbsp", "225 g"
+ */
+
+export const UNIT_SYSTEMS = ["imperial", "metric"];
+
+// grams per millilitre; `liquid` stays a volume in metric
+const DENSITIES = {
+  flour: { gPerMl: 0.53 },
+  "almond flour": { gPerMl: 0.41 },
+  "brown sugar": { gPerMl: 0.93 },
+  "powdered sugar": { gPerMl: 0.51 },
+  sugar: { gPerMl: 0.85 },
+  butter: { gPerMl: 0.96 },
+  "cooked rice": { gPerMl: 0.66 },
+  rice: { gPerMl: 0.85 },
+  quinoa: { gPerMl: 0.72 },
+  oat: { gPerMl: 0.38 },
+  "rolled oat": { gPerMl: 0.38 },
+  couscous: { gPerMl: 0.73 },
+  parmesan: { gPerMl: 0.42 },
+  "shredded cheese": { gPerMl: 0.47 },
+  "cottage cheese": { gPerMl: 0.95 },
+  "greek yogurt": { gPerMl: 1.05 },
+  "peanut butter": { gPerMl: 1.08 },
+  panko: { gPerMl: 0.25 },
+  breadcrumb: { gPerMl: 0.45 },
+  "cocoa powder": { gPerMl: 0.42 },
+  "protein powder": { gPerMl: 0.4 },
+  "chia seed": { gPerMl: 0.65 },
+  honey: { gPerMl: 1.42 },
+  "maple syrup": { gPerMl: 1.32 },
+  salt: { gPerMl: 1.2 },
+  "kosher salt": { gPerMl: 0.6 },
+  water: { gPerMl: 1, liquid: true },
+  milk: { gPerMl: 1.03, liquid: true },
+  broth: { gPerMl: 1, liquid: true },
+  stock: { gPerMl: 1, liquid: true },
+  oil: { gPerMl: 0.91, liquid: true },
+  "olive oil": { gPerMl: 0.91, liquid: true },
+  "soy sauce": { gPerMl: 1.15, liquid: true },
+  vinegar: { gPerMl: 1.01, liquid: true },
+  "lime juice": { gPerMl: 1.03, liquid: true },
+  "lemon juice": { gPerMl: 1.03, liquid: true },
+  "coconut milk": { gPerMl: 0.98, liquid: true },
+};
+
+// Most specific match wins: "brown sugar" before "sugar", "cooked jasmine rice" → "cooked rice"
+const DENSITY_KEYS = Object.keys(DENSITIES).sort((a, b) => b.split(" ").length - a.split(" ").length);
+
+export function densityFor(item = "") {
+  const words = new Set(ingredientKey(item).split(" "));
+  const match = DENSITY_KEYS.find(k => k.split(" ").every(w => words.has(w)));
+  return match ? DENSITIES[match] : null;
+}
+
+// flavorProfile.units: "metric" | "imperial" ("us" is accepted as imperial)
+export function resolveUnitSystem(flavorProfile = {}) {
+  const raw = String(flavorProfile?.units || "").trim().toLowerCase();
+  if (raw === "metric") return "metric";
+  if (raw === "imperial" || raw === "us") return "imperial";
+  return null;
+}
+
+// Prompt line for the preferred system — empty when the profile doesn't say
+export function unitsInstruction(flavorProfile = {}) {
+  const system = resolveUnitSystem(flavorProfile);
+  if (system === "metric") return "📏 Use metric measurements: grams for solids, millilitres for liquids (tsp/tbsp are fine for small amounts).";
+  if (system === "imperial") return "📏 Use US measurements: cups, tablespoons, teaspoons, ounces and pounds.";
+  return "";
+}
+
+// --------------- Rounding ----------------
+
+// Nearest eighth or third — whichever is closer — so formatQuantity can print a real fraction
+function roundKitchen(value) {
+  const eighths = Math.round(value * 8) / 8;
+  const thirds = Math.round(value * 3) / 3;
+  return Math.abs(value - thirds) < Math.abs(value - eighths) ? thirds : eighths;
+}
+
+function roundMetric(value) {
+  if (value < 20) return Math.max(1, Math.round(value));
+  if (value < 250) return Math.round(value / 5) * 5;
+  return Math.round(value / 10) * 10;
+}
+
+// Countable things (cloves, cans, onions) go to the nearest half, never below half — eggs stay whole
+function roundCount(value, item = "") {
+  if (value <= 0) return 0;
+  if (/\begg\b/.test(ingredientKey(item))) return Math.max(1, Math.round(value));
+  return Math.max(0.5, Math.round(value * 2) / 2);
+}
+
+// --------------- Picking a unit ----------------
+
+function imperialVolume(ml) {
+  const { factors } = UNIT_FAMILIES.volume;
+  if (ml >= factors.cup / 4) return { quantity: roundKitchen(ml / factors.cup), unit: "cup" };
+  if (ml >= factors.tbsp) return { quantity: Math.round((ml / factors.tbsp) * 2) / 2, unit: "tbsp" };
+  return { quantity: Math.max(1 / 8, roundKitchen(ml / factors.tsp)), unit: "tsp" };
+}
+
+function imperialWeight(g) {
+  const { factors } = UNIT_FAMILIES.weight;
+  const oz = g / factors.oz;
+  if (oz >= 16) return { quantity: Math.round((g / factors.lb) * 4) / 4, unit: "lb" };
+  if (oz < 2) return { quantity: Math.max(1 / 4, Math.round(oz * 4) / 4), unit: "oz" };
+  return { quantity: Math.round(oz * 2) / 2, unit: "oz" };
+}
+
+// Spoon measures are used everywhere, so small amounts stay in tsp/tbsp
+function metricVolume(ml) {
+  const { factors } = UNIT_FAMILIES.volume;
+  if (ml < factors.tbsp * 0.75) return { quantity: Math.max(1 / 8, roundKitchen(ml / factors.tsp)), unit: "tsp" };
+  if (ml < factors.tbsp * 3.5) return { quantity: Math.round((ml / factors.tbsp) * 2) / 2, unit: "tbsp" };
+  if (ml >= 1000) return { quantity: Math.round(ml / 50) / 20, unit: "l" };
+  return { quantity: roundMetric(ml), unit: "ml" };
+}
+
+function metricWeight(g) {
+  if (g >= 1000) return { quantity: Math.round(g / 50) / 20, unit: "kg" };
+  return { quantity: roundMetric(g), unit: "g" };
+}
+
+// --------------- Ingredients ----------------
+
+function toNumber(quantity) {
+  if (quantity === null || quantity === undefined || quantity === "") return null;
+  if (typeof quantity === "number") return Number.isFinite(quantity) ? quantity : null;
+  return parseQuantity(String(quantity));
+}
+
+/**
+ * Scales one ingredient by `factor` and expresses it in `system` (or its current system
+ * when null). Units we don't know (handful, sprig, "") are only scaled.
+ */
+export function convertIngredient(ingredient, { factor = 1, system = null } = {}) {
+  const quantity = toNumber(ingredient.quantity);
+  if (quantity === null) return { ...ingredient, quantity: null };
+
+  const unit = ingredient.unit ? normalizeUnit(ingredient.unit) || ingredient.unit : "";
+  const family = unitFamily(unit);
+  const amount = quantity * factor;
+
+  if (!family) return { ...ingredient, quantity: roundCount(amount, ingredient.item), unit };
+
+  const base = amount * UNIT_FAMILIES[family].factors[unit]; // ml or g
+  const target = system || (["g", "kg", "ml", "l"].includes(unit) ? "metric" : "imperial");
+  const density = densityFor(ingredient.item);
+
+  let converted;
+  if (family === "volume") {
+    // Metric kitchens weigh dry staples; liquids stay liquid
+    converted = target === "metric" && density && !density.liquid && base >= UNIT_FAMILIES.volume.factors.tbsp * 2
+      ? metricWeight(base * density.gPerMl)
+      : target === "metric" ? metricVolume(base) : imperialVolume(base);
+  } else {
+    // US kitchens cup dry staples and liquids; meat, fish and cheese blocks stay in oz/lb
+    converted = target === "imperial" && density && unit !== "oz" && unit !== "lb"
+      ? imperialVolume(base / density.gPerMl)
+      : target === "metric" ? metricWeight(base) : imperialWeight(base);
+  }
+
+  return { ...ingredient, ...converted };
+}
+
+// --------------- Recipes ----------------
+
+/**
+ * recipe: structured recipe from /generate-instructions { structured: true }
+ * servings: target servings (defaults to the recipe's), system: "metric" | "imperial" | null (keep)
+ */
+export function scaleRecipe(recipe, { servings, system = null } = {}) {
+  const from = Number(recipe.servings) || 1;
+  const to = Number(servings) > 0 ? Number(servings) : from;
+  const factor = to / from;
+
+  return {
+    ...recipe,
+    servings: to,
+    ingredients: (recipe.ingredients || []).map(ing => convertIngredient(ing, { factor, system })),
+    ...(factor !== 1 ? { scaledFrom: from } : {}),
+    ...(system ? { units: system } : {}),
+  };
+}
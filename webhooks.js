@@ -1,10 +1,17 @@
 // webhooks.js
 import Stripe from "stripe";
 import bodyParser from "body-parser";
+import { recordSubscriptionState } from "./entitlements.js";
+import { claimEvent, markEventSucceeded, markEventFailed } from "./event-ledger.js";
+import { enqueueCrmTasks } from "./outbox.js";
+import { db } from "./firebase.js";
 
 /**
  * FlavorCoach — Stripe Webhooks → GHL v1 Contacts Upsert (tags + audit fields)
- * - Server's only job: upsert contact, add tags, stamp audit fields.
+ * - Server's job: record subscription state on users/{uid} (entitlements.js),
+ *   then queue the contact upsert (tags + audit fields) in the CRM outbox (outbox.js).
+ * - The webhook only answers 200 once state + outbox tasks are committed; delivery to
+ *   GHL / ConvertKit happens in the outbox worker with retries.
  * - Pipeline movement is handled INSIDE GHL via your Tag-Added workflows.
  *
  * Live today:   checkout.session.completed  -> adds fc:trial_checkout + evt:cs_*
@@ -32,147 +39,32 @@ const TAGS = {
   },
 };
 
-// --- GHL v1: lookup existing contact by email (for tag merge) ---
-async function ghlV1GetContactByEmail(email) {
-  const apiKey = (process.env.GHL_V1_API_KEY || "").trim();
-  const locationId = (process.env.GHL_LOCATION_ID || "").trim();
-  if (!apiKey || !locationId || !email) return null;
-
-  try {
-    const res = await fetch(
-      `https://rest.gohighlevel.com/v1/contacts/?query=${encodeURIComponent(email)}`,
-      {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${apiKey}`,
-          Accept: "application/json",
-          LocationId: locationId,
-        },
-      }
-    );
-    if (!res.ok) return null;
-
-    const json = await res.json();
-    // v1 returns { contacts: [...] } or sometimes a single object; normalize to first match
-    const contacts = Array.isArray(json?.contacts) ? json.contacts : [];
-    const target = String(email || "").trim().toLowerCase();
-
-    // Exact match only (safer; avoids updating the wrong contact)
-    const exact = contacts.find(c => String(c?.email || "").trim().toLowerCase() === target);
-    return exact || null;
-  } catch {
-    return null;
-  }
+// --------------- helpers ----------------
+function splitName(full = "") {
+  const parts = (full || "").trim().split(/\s+/).filter(Boolean);
+  return { first: parts[0] || "", last: parts.slice(1).join(" ") || "" };
 }
 
-// --- GHL v1: upsert contact, but MERGE tags instead of overwriting ---
-async function ghlV1UpsertContact({
-  email,
-  firstName,
-  lastName,
-  phone,
-  tags = [],
-  customFields = {},
-  skipCreateIfMissing = false,
-  context = "",
-}) {
-  if (!email) { console.warn("[GHL upsert] skipped: missing email"); return; }
-
-  const apiKey = (process.env.GHL_V1_API_KEY || "").trim();
-  const locationId = (process.env.GHL_LOCATION_ID || "").trim();
-  if (!apiKey || !locationId) {
-    console.error("[GHL upsert] Missing GHL_V1_API_KEY or GHL_LOCATION_ID");
-    return;
+// Latest Stripe subscription state → Firestore user record (drives requireEntitlement)
+async function syncSubscriptionState(event, { subscription, subscriptionId, customerId, email, clientReferenceId }) {
+  let sub = subscription || null;
+  if (!sub && subscriptionId) {
+    sub = await stripe.subscriptions.retrieve(subscriptionId);
   }
+  if (!sub) return null;
 
-  // 1) Start with the new tags you want to add
-  let mergedTags = Array.from(new Set([...(tags || [])].map(t => String(t).trim()).filter(Boolean)));
-  let existingContactId = null;
-
-  // 2) Read existing tags (if any) and merge so we don't blow away e.g. done:fc:trial_checkout
-  try {
-    const existing = await ghlV1GetContactByEmail(email);
-
-    existingContactId = existing?.id || null;
-  
-    const existingTags = (existing?.tags || []).map(t => String(t).trim()).filter(Boolean);
-    mergedTags = Array.from(new Set([...existingTags, ...mergedTags]));
-  } catch (e) {
-    console.warn("[GHL upsert] existing tag merge skipped:", e?.message);
-  }
-  if (skipCreateIfMissing && !existingContactId) {
-    console.log("[GHL upsert] SKIP (no contact found; create disabled)", { email, context });
-    return;
-  }
-
-
-  const payload = {
+  return recordSubscriptionState({
+    clientReferenceId,
+    customerId: customerId || sub.customer || "",
     email,
-    tags: mergedTags,     // <— send the MERGED list
-    customFields,         // unchanged
-  };
-
-  // Only include these if we actually have values
-  // (prevents blank/undefined from wiping fields)
-  if (firstName) payload.firstName = firstName;
-  if (lastName) payload.lastName = lastName;
-  if (phone) payload.phone = phone;
-
-  const res = await fetch("https://rest.gohighlevel.com/v1/contacts/", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      LocationId: locationId,
-    },
-    body: JSON.stringify(payload),
+    status: sub.status,
+    subscriptionId: sub.id,
+    priceId: sub.items?.data?.[0]?.price?.id,
+    currentPeriodEnd: sub.current_period_end,
+    cancelAtPeriodEnd: sub.cancel_at_period_end,
+    eventType: event.type,
+    eventCreated: event.created,
   });
-
-  const text = await res.text();
-  if (!res.ok) {
-    console.error("[GHL upsert] Failed:", res.status, text?.slice(0, 500));
-    return;
-  }
-  let data; try { data = JSON.parse(text); } catch { data = { raw: text }; }
-  console.log("[GHL upsert] OK → contactId:", data?.contact?.id || data?.id || "(unknown)");
-  return data;
-}
-
-/* ---------- ConvertKit helper ---------- */
-async function convertKitSubscribe({ email, firstName }) {
-  const key = process.env.CONVERTKIT_API_KEY;
-  if (!key) return;
-  if (process.env.CONVERTKIT_FORM_ID) {
-    try {
-      await fetch(`https://api.convertkit.com/v3/forms/${process.env.CONVERTKIT_FORM_ID}/subscribe`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ api_key: key, email, first_name: firstName || "" }),
-      });
-    } catch (e) {
-      console.warn("ConvertKit subscribe skipped:", e.message);
-    }
-  }
-  const tagIds = (process.env.CONVERTKIT_TAG_IDS || "")
-    .split(",").map(s => s.trim()).filter(Boolean);
-  for (const tagId of tagIds) {
-    try {
-      await fetch(`https://api.convertkit.com/v3/tags/${tagId}/subscribe`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ api_key: key, email }),
-      });
-    } catch (e) {
-      console.warn("ConvertKit tag skipped:", e.message);
-    }
-  }
-}
-
-// --------------- helpers ----------------
-function splitName(full = "") {
-  const parts = (full || "").trim().split(/\s+/).filter(Boolean);
-  return { first: parts[0] || "", last: parts.slice(1).join(" ") || "" };
 }
 
 function expressRawJson() {
@@ -192,6 +84,26 @@ export function registerStripeWebhooks(app) {
       return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
+    // Ledger check: skip events already handled; let Stripe retry ones mid-flight elsewhere
+    let claim;
+    try {
+      claim = await claimEvent(event);
+    } catch (err) {
+      console.error("[Ledger] Claim failed:", event.id, err.message);
+      return res.status(500).send("Server error");
+    }
+
+    if (!claim.claimed) {
+      console.log(`[Ledger] ${claim.reason} → skip`, event.type, event.id);
+      if (claim.reason === "in_progress") {
+        return res.status(409).send("Event is already being processed");
+      }
+      return res.json({ received: true, duplicate: true });
+    }
+
+    // CRM side effects collected by the handlers below, committed with the ledger update
+    const crmTasks = [];
+
     try {
       switch (event.type) {
         // ======== LIVE TODAY: TRIAL ========
@@ -205,6 +117,13 @@ export function registerStripeWebhooks(app) {
           const customerId  = s?.customer || "";      // cus_*
           const sessionId   = s?.id || "";            // cs_*
 
+          await syncSubscriptionState(event, {
+            subscriptionId: s?.subscription || "",
+            customerId,
+            email,
+            clientReferenceId: s?.client_reference_id || "",
+          });
+
           const customFields = {
             "Last Checkout Session ID": sessionId,
             "Stripe Customer ID": customerId,
@@ -214,8 +133,8 @@ export function registerStripeWebhooks(app) {
 
           const tags = [TAGS.STABLE.TRIAL, TAGS.evt.cs(sessionId)];
 
-	  await ghlV1UpsertContact({ email, firstName: first, lastName: last, phone, tags, customFields });
-	  await convertKitSubscribe({ email, firstName: first });
+	  crmTasks.push({ kind: "ghl_upsert", payload: { email, firstName: first, lastName: last, phone, tags, customFields } });
+	  crmTasks.push({ kind: "convertkit_subscribe", payload: { email, firstName: first } });
 	  break;
         }
 
@@ -224,6 +143,13 @@ export function registerStripeWebhooks(app) {
           const inv = event.data.object;
           const amountPaid = inv?.amount_paid ?? 0; // cents
 
+          // Record state even for $0 trial invoices — that's how the trial shows up
+          await syncSubscriptionState(event, {
+            subscriptionId: inv?.subscription || "",
+            customerId: inv?.customer || "",
+            email: inv?.customer_email || "",
+          });
+
           if (amountPaid <= 0) {
             console.log("[Active] Skipping $0 invoice (likely trial start):", inv?.id);
             break;
@@ -263,19 +189,27 @@ export function registerStripeWebhooks(app) {
           const tags = [TAGS.STABLE.ACTIVE, TAGS.evt.in(invoiceId)];
           if (subId) tags.push(TAGS.evt.sub(subId));
 
-          await ghlV1UpsertContact({
+          crmTasks.push({ kind: "ghl_upsert", payload: {
 	    email,
 	    tags,
 	    customFields,
 	    skipCreateIfMissing: true,
   	    context: `invoice.payment_succeeded ${invoiceId}`,
-	  });
+	  } });
           break;
         }
 
         // ======== READY LATER: DUNNING (invoice failed) ========
         case "invoice.payment_failed": {
           const inv = event.data.object;
+
+          // Subscription is now past_due/unpaid → requireEntitlement answers "payment_failed"
+          await syncSubscriptionState(event, {
+            subscriptionId: inv?.subscription || "",
+            customerId: inv?.customer || "",
+            email: inv?.customer_email || "",
+          });
+
           let email = inv?.customer_email || "";
 	  const customerId  = inv?.customer || ""; // cus_*
 
@@ -308,13 +242,13 @@ export function registerStripeWebhooks(app) {
           const tags = [TAGS.STABLE.DUNNING, TAGS.evt.in(invoiceId)];
           if (subId) tags.push(TAGS.evt.sub(subId));
 
-          await ghlV1UpsertContact({
+          crmTasks.push({ kind: "ghl_upsert", payload: {
 	    email,
 	    tags,
 	    customFields,
 	    skipCreateIfMissing: true,
 	    context: `invoice.payment_failed ${invoiceId}`,
-	  });
+	  } });
           break;
         }
 
@@ -333,6 +267,9 @@ export function registerStripeWebhooks(app) {
               console.warn("[Canceled] Could not fetch customer email", e?.message);
             }
           }
+
+          await syncSubscriptionState(event, { subscription: sub, customerId, email });
+
           if (!email) { console.warn("[Canceled] Missing email; skip upsert."); break; }
 
           const subId = sub?.id || "";
@@ -346,21 +283,19 @@ export function registerStripeWebhooks(app) {
 
           const tags = [TAGS.STABLE.CANCELED, TAGS.evt.sub(subId)];
 
-          await ghlV1UpsertContact({
+          crmTasks.push({ kind: "ghl_upsert", payload: {
 	    email,
 	    tags,
 	    customFields,
 	    skipCreateIfMissing: true,
 	    context: `customer.subscription.deleted ${subId}`,
-	  });
+	  } });
           break;
         }
 
         // ======== READY LATER: SUB UPDATED → ACTIVE (status=active) ========
         case "customer.subscription.updated": {
           const sub = event.data.object;
-          if (sub?.status !== "active") break;  // only act on active
-
           const customerId = sub?.customer;
           let email = "";
 
@@ -372,6 +307,13 @@ export function registerStripeWebhooks(app) {
               console.warn("[Sub Active] Could not fetch customer email", e?.message);
             }
           }
+
+          // Every status change is recorded (past_due, unpaid, paused, ...) ...
+          await syncSubscriptionState(event, { subscription: sub, customerId, email });
+
+          // ... but GHL only hears about active
+          if (sub?.status !== "active") break;
+
           if (!email) { console.warn("[Sub Active] Missing email; skip upsert."); break; }
 
           const subId = sub?.id || "";
@@ -386,13 +328,13 @@ export function registerStripeWebhooks(app) {
           // You can use either/both tags to trigger your future Active workflow
           const tags = [TAGS.STABLE.ACTIVE, TAGS.STABLE.SUB_ACTIVE, TAGS.evt.sub(subId)];
 
-          await ghlV1UpsertContact({
+          crmTasks.push({ kind: "ghl_upsert", payload: {
 	    email,
 	    tags,
 	    customFields,
 	    skipCreateIfMissing: true,
 	    context: `customer.subscription.updated ${subId}`,
-	  });
+	  } });
           break;
         }
 
@@ -401,9 +343,15 @@ export function registerStripeWebhooks(app) {
           break;
       }
 
-      return res.json({ received: true });
+      const batch = db.batch();
+      enqueueCrmTasks(batch, event.id, crmTasks);
+      markEventSucceeded(event.id, batch);
+      await batch.commit();
+
+      return res.json({ received: true, queued: crmTasks.length });
     } catch (err) {
       console.error("[Webhook handler] Error:", err);
+      await markEventFailed(event.id, err);
       return res.status(500).send("Server error");
     }
   });